@@ -3,11 +3,12 @@
 
 /** @module lib/app */
 
-import {MarkdownScriptRuntime, markdownScriptCodeBlock} from './script.js';
+import {MarkdownScriptProfiler, MarkdownScriptRuntime, markdownScriptCodeBlock, markdownScriptInclude} from './script.js';
 import {decodeQueryString, encodeQueryString, jsonStringifySortKeys} from 'schema-markdown/lib/encode.js';
 import {elementModelWrapCallbacks, markdownScriptFunctions} from './scriptLibrary.js';
 import {evaluateExpression} from 'bare-script/lib/runtime.js';
 import {executeScriptAsync} from 'bare-script/lib/runtimeAsync.js';
+import {formatMessage, getLocaleDirection, getLocaleMessages} from './messages.js';
 import {parseExpression} from 'bare-script/lib/parser.js';
 import {parseSchemaMarkdown} from 'schema-markdown/lib/parser.js';
 import {renderElements} from 'element-model/lib/elementModel.js';
@@ -25,9 +26,18 @@ struct MarkdownUp
     # Variable expressions
     optional string{} var
 
+    # The typed application and document parameters (see the "Params" struct)
+    optional object param
+
     # Optional command
     optional MarkdownUpView view
 
+    # The find text
+    optional string find
+
+    # The live reload polling interval, in seconds
+    optional float(> 0) refresh
+
 
 # The MarkdownUp local storage JSON schema
 struct MarkdownUpLocal
@@ -41,6 +51,65 @@ struct MarkdownUpLocal
     # The line height
     optional float(>= 1, <= 10) lineHeight
 
+    # The color theme name - the empty string is the unthemed look
+    optional string theme
+
+    # The font family name
+    optional string fontFamily
+
+    # The maximum content width
+    optional MarkdownUpContentWidth contentWidth
+
+
+# A maximum content width
+enum MarkdownUpContentWidth
+    narrow
+    medium
+    full
+
+
+# The MarkdownUp document front matter schema
+struct MarkdownUpFrontMatter
+
+    # The document title
+    optional string title
+
+    # If set, dark mode is enabled by default
+    optional bool darkMode
+
+    # The default font size
+    optional int(>= 2, <= 100) fontSize
+
+    # The default line height
+    optional float(>= 1, <= 10) lineHeight
+
+    # The default color theme name
+    optional string theme
+
+    # The document language (e.g. "he")
+    optional string lang
+
+    # The document text direction
+    optional MarkdownUpDirection dir
+
+    # The default variable expressions
+    optional string{} var
+
+    # The document's typed parameters - the map of parameter name to Schema Markdown member type (e.g. "optional date")
+    optional string{} params
+
+    # The BareScript include URLs - system includes are enclosed in angle brackets (e.g. "<args.bare>")
+    optional string[] includes
+
+    # If false, the menu is hidden
+    optional bool menu
+
+
+# A text direction
+enum MarkdownUpDirection
+    ltr
+    rtl
+
 
 # The MarkdownUp session storage JSON schema
 struct MarkdownUpSession
@@ -51,12 +120,73 @@ struct MarkdownUpSession
     # If set, enable debug behavior
     optional int(== 1) debug
 
+    # If set, show the table of contents sidebar
+    optional int(== 1) toc
+
+
+# The MarkdownUp document cache session storage JSON schema
+struct MarkdownUpCache
+
+    # The cached documents, least-recently used first
+    MarkdownUpCacheEntry[] entries
+
+
+# A MarkdownUp document cache entry
+struct MarkdownUpCacheEntry
+
+    # The resolved resource URL
+    string url
+
+    # The document text
+    string text
+
+    # The document's ETag response header
+    optional string etag
+
+    # The document's Last-Modified response header
+    optional string lastModified
+
+    # The time the document was fetched or last revalidated, in milliseconds since the epoch
+    int(>= 0) time
+
+
+# The MarkdownUp scroll positions session storage JSON schema
+struct MarkdownUpScroll
+
+    # The document scroll positions, least-recently saved first
+    MarkdownUpScrollPosition[] positions
+
+
+# A MarkdownUp document scroll position
+struct MarkdownUpScrollPosition
+
+    # The resolved resource URL
+    string url
+
+    # The window's vertical scroll offset
+    float scrollY
+
+    # The element ID of the header nearest the top of the viewport
+    optional string header
+
+    # The header's offset from the top of the viewport
+    optional float offset
+
 
 # A MarkdownUp application view
 enum MarkdownUpView
 
     # Show the resource's Markdown text
     markdown
+
+    # Show the resource's table of contents
+    toc
+
+    # Show the resource for printing (no menu, light colors, and all content expanded)
+    print
+
+    # Show the resource with its script profile (the call count and times of each script function)
+    profile
 `);
 
 
@@ -64,21 +194,100 @@ enum MarkdownUpView
  * The MarkdownUp application options
  *
  * @typedef {Object} MarkdownUpOptions
+ * @property {?string} [basePath = '/'] - The application's URL path, ending with a slash, for path routing
+ * @property {?string} [book = null] - The book manifest resource URL (e.g. "SUMMARY.md"). The book manifest is a
+ *     Markdown list of the book's page links (e.g. "- [Introduction](intro.md)"), relative to the manifest. In
+ *     book mode, the menu shows the book's chapter list and each page ends with previous and next page links.
+ * @property {?boolean} [cacheSession = false] - If true, persist the document cache to session storage
+ * @property {?number} [cacheSize = 20] - The maximum number of cached documents (0 disables the document cache)
+ * @property {?number} [cacheTTL = 0] - The time, in milliseconds, that a cached document is used without
+ *     revalidation (conditional request)
+ * @property {?string} [errorMarkdown = null] - The error page Markdown text. The error page's markdown-script
+ *     code blocks can use the "markdownUpError" variable, an object with "message", "status", "statusText", and
+ *     "url" members.
  * @property {?Object.<string, function>} [codeBlocks = null] - The
  *     [code block](https://craigahobbs.github.io/bare-script/library/model.html#var.vName='MarkdownElementsOptions')
  *     render function map
+ * @property {?string} [contentWidth = 'full'] - The default maximum content width ("narrow", "medium", or "full")
  * @property {?boolean} [darkMode = false] - If true, use dark mode by default
+ * @property {?number} [debugMaxStatements = 1e9] - The statement budget in debug mode
+ * @property {?string} [docsPath = null] - The URL path of the application's documents, ending with a slash, for path
+ *     routing. Relative resource URLs are fetched relative to the "docsPath" (default is the "basePath"). Since the
+ *     web server serves the application stub for all URL paths under the "basePath", the "docsPath" should be
+ *     outside of the "basePath" (e.g. "/docs/" for a "basePath" of "/app/").
+ * @property {?Object.<string, string>} [fontFamilies = null] - The map of application font family name to CSS
+ *     font stack (e.g. "Lato, sans-serif"). Application font families follow the built-in "sans", "serif", and
+ *     "monospace" font families.
+ * @property {?string} [fontFamily = 'sans'] - The default font family name
  * @property {?number} [fontSize = 12] - The font size, in points
  * @property {?Object} [globals = null] - Global script runtime variables
+ * @property {?string} [dir = null] - The document text direction, "ltr" or "rtl". By default, the text direction
+ *     is the document language's text direction.
  * @property {?string} [helpURL] - The help URL
+ * @property {?string} [lang = null] - The document language. By default, the document language is the locale.
  * @property {?number} [lineHeight = 1.3] - The line height, in em
+ * @property {?string} [locale = null] - The application UI locale (e.g. "fr-CA"). By default, the locale is the
+ *     first of the browser's preferred languages ("navigator.languages") with a message catalog.
+ * @property {?Object.<string, Object>} [messages = null] - The map of locale (e.g. "fr" or "fr-CA") to
+ *     [message catalog]{@link module:lib/messages.defaultMessages}
+ * @property {?string} [notFoundURL = null] - The resource URL of the error page Markdown document for
+ *     "Not Found" (404) fetch errors. Its markdown-script code blocks can use the "markdownUpError" variable.
+ * @property {?string} [paramsSchema = null] - The Schema Markdown text of the application's typed parameters.
+ *     The "Params" struct declares the "param" hash parameters (e.g. "#param.start=2024-01-01"). The validated
+ *     parameter values are available to scripts as the "markdownUpParams" variable.
+ * @property {?Object[]} [pages = null] - The book's [pages]{@link module:lib/app~MarkdownUpBookPage}, in order.
+ *     If set, the "book" manifest is not used.
  * @property {?string} [markdownText = null] - The default Markdown text
+ * @property {?number} [maxStatements = 1e9] - The statement budget of each code block execution and event callback
+ *     (0 for no budget). A script that exceeds its statement budget is stopped and its output is replaced with the
+ *     budget-exceeded message.
  * @property {?boolean} [menu = true] - If true, show the menu
+ * @property {?Object[]} [menuItems = null] - The application [menu items]{@link module:lib/app~MarkdownUpMenuItem}
+ * @property {?number} [refresh = 0] - The live reload polling interval, in seconds (0 disables live reload)
+ * @property {?string} [routing = 'hash'] - The URL routing, "hash" or "path". Hash routing stores the application
+ *     parameters in the URL hash (e.g. "#url=other.md&var.vName=1"). Path routing uses the browser history API -
+ *     the relative resource URL is the URL path, relative to the "basePath", and the other application parameters
+ *     are the query string (e.g. "/other.md?var.vName=1"). For path routing, the web server must serve the
+ *     application stub for all URL paths under the "basePath", and relative resource URLs are fetched relative
+ *     to the "docsPath".
  * @property {?string} [systemPrefix] - The markdown-script system include prefix
+ * @property {?string} [theme = null] - The default color theme name
+ * @property {?Object.<string, Object.<string, string>>} [themes = null] - The map of color theme name to the
+ *     theme's CSS custom property values (e.g. "--markdown-up-menu-background"). The menu buttons are drawn with
+ *     the theme's "--markdown-up-menu-border" and "--markdown-up-menu-background" colors, which must be plain colors.
  * @property {?string} [url = 'README.md'] - The default resource URL
  */
 
 
+/**
+ * A MarkdownUp book page
+ *
+ * @typedef {Object} MarkdownUpBookPage
+ * @property {string} title - The page title
+ * @property {string} url - The page's Markdown resource URL
+ */
+
+
+/**
+ * A MarkdownUp application menu item. Application menu items are shown in the menu following the
+ * built-in menu items. To hide a built-in menu item, use a menu item with its name ("markdown", "toc",
+ * "find", "export", "darkMode", "theme", "fontSize", "lineHeight", "fontFamily", "contentWidth", "debug", or "help")
+ * and "hidden" set to true.
+ *
+ * @typedef {Object} MarkdownUpMenuItem
+ * @property {?string} [name = null] - The built-in menu item name
+ * @property {?boolean} [hidden = false] - If true, hide the built-in menu item
+ * @property {?string} [label = null] - The menu item label
+ * @property {?string} [url = null] - The menu item's link URL
+ * @property {?function} [callback = null] - The menu item's click callback function
+ * @property {?(boolean|function)} [checked = null] - If true, the menu item is shown checked. If a
+ *     function, it is called on render and returns the checked state. If null, the menu item is not a toggle.
+ * @property {?string} [path = null] - The menu item icon's SVG path (24x24 view box). The default is a circle.
+ * @property {?string} [path2 = null] - The menu item icon's secondary (thinner) SVG path
+ * @property {?string} [text = null] - The menu item icon's text
+ */
+
+
 // The default system include path prefix
 const defaultSystemPrefix = 'https://craigahobbs.github.io/markdown-up/include/';
 
@@ -102,21 +311,95 @@ export class MarkdownUp {
         this.params = null;
         this.paramsLocal = null;
         this.paramsSession = null;
+        this.paramsError = null;
+        this.basePath = (options !== null ? options.basePath : null) ?? '/';
+        this.book = (options !== null ? options.book : null) ?? null;
+        this.cacheSession = (options !== null ? options.cacheSession : null) ?? false;
+        this.cacheSize = (options !== null ? options.cacheSize : null) ?? 20;
+        this.cacheTTL = (options !== null ? options.cacheTTL : null) ?? 0;
         this.codeBlocks = (options !== null ? options.codeBlocks : null) ?? null;
+        this.contentWidth = (options !== null ? options.contentWidth : null) ?? 'full';
+        this.errorMarkdown = (options !== null ? options.errorMarkdown : null) ?? null;
         this.darkMode = (options !== null ? options.darkMode : null) ??
             (this.window.matchMedia && this.window.matchMedia('(prefers-color-scheme: dark)').matches);
+        this.debugMaxStatements = (options !== null ? options.debugMaxStatements : null) ?? 1e9;
+        this.docsPath = (options !== null ? options.docsPath : null) ?? this.basePath;
+        this.fontFamilies = (options !== null ? options.fontFamilies : null) ?? null;
+        this.fontFamily = (options !== null ? options.fontFamily : null) ?? 'sans';
         this.fontSize = (options !== null ? options.fontSize : null) ?? 12;
         this.globals = (options !== null ? options.globals : null) ?? null;
+        this.dir = (options !== null ? options.dir : null) ?? null;
         this.helpURL = (options !== null ? options.helpURL : null) ?? defaultHelpURL;
+        this.lang = (options !== null ? options.lang : null) ?? null;
         this.lineHeight = (options !== null ? options.lineHeight : null) ?? 1.3;
+        this.locale = (options !== null ? options.locale : null) ?? null;
+        this.messages = (options !== null ? options.messages : null) ?? null;
         this.markdownText = (options !== null ? options.markdownText : null) ?? null;
+        this.maxStatements = (options !== null ? options.maxStatements : null) ?? 1e9;
         this.menu = (options !== null ? options.menu : null) ?? true;
+        this.menuItems = (options !== null ? options.menuItems : null) ?? null;
+        this.notFoundURL = (options !== null ? options.notFoundURL : null) ?? null;
+        this.pages = (options !== null ? options.pages : null) ?? null;
+        this.paramsSchema = (options !== null ? options.paramsSchema : null) ?? null;
+        this.refresh = (options !== null ? options.refresh : null) ?? 0;
+        this.routing = (options !== null ? options.routing : null) ?? 'hash';
         this.systemPrefix = (options !== null ? options.systemPrefix : null) ?? defaultSystemPrefix;
+        this.theme = (options !== null ? options.theme : null) ?? null;
+        this.themes = (options !== null ? options.themes : null) ?? null;
         this.url = (options !== null ? options.url : null) ?? 'README.md';
         this.runtimeDocumentKeyDown = null;
         this.runtimeWindowResize = null;
         this.runtimeTimeoutId = null;
         this.runtimeCount = 0;
+        this.runtimeMenuItems = [];
+
+        // The current document's abort controller - aborted when the next document render begins
+        this.abortController = new AbortController();
+
+        // The current document's front matter
+        this.frontMatter = {};
+
+        // The typed parameters' type model and validated values
+        this.paramsTypes = parseSchemaMarkdown(this.paramsSchema ?? 'struct Params');
+        this.paramValues = {};
+
+        // The rendered application route URLs (for path routing link clicks)
+        this.routeURLs = new Set();
+
+        // The locale and its message catalog
+        const locales = this.locale !== null ? [this.locale] : (this.window.navigator?.languages ?? []);
+        ({'locale': this.localeMessagesLocale, 'messages': this.localeMessages} = getLocaleMessages(locales, this.messages));
+
+        // The color theme CSS custom property names set on the document element
+        this.themeProperties = [];
+
+        // The menu button selector to focus on the next render, if any (e.g. the burger button when the menu closes)
+        this.menuFocus = null;
+
+        // The book's pages, or null if not in book mode
+        this.bookPages = null;
+
+        // The loaded book manifest's URL and pages, or null - the manifest is reloaded when its URL changes
+        this.bookManifest = null;
+
+        // The current document's headers (for the table of contents), or null if there is no document
+        this.tocHeaders = null;
+
+        // The live reload state - the rendered document's URL and text (null for Markdown text documents)
+        this.refreshDocument = null;
+        this.refreshTimeoutId = null;
+
+        // The find text match elements and the current match index
+        this.findMatches = [];
+        this.findIndex = 0;
+
+        // The document cache - a map of resolved resource URL to cache entry, least-recently used first.
+        // Cache entries are the MarkdownUpCacheEntry struct plus the parsed Markdown model.
+        this.documentCache = null;
+
+        // The document scroll positions - a map of resolved resource URL to scroll position, least-recently
+        // saved first. Scroll positions are the MarkdownUpScrollPosition struct.
+        this.scrollPositions = null;
 
         // The shared Web Audio state (for windowPlaySound), created on first use. The noise buffer is
         // a one-second white-noise buffer reused for drum and explosion sounds.
@@ -175,17 +458,28 @@ export class MarkdownUp {
      */
     async run() {
         await this.render();
-        this.window.addEventListener('hashchange', () => this.render(), false);
+        if (this.routing === 'path') {
+            this.window.addEventListener('popstate', () => this.render(), false);
+            this.window.document.addEventListener('click', (event) => this.linkClick(event));
+        } else {
+            this.window.addEventListener('hashchange', () => this.render(), false);
+        }
+        this.window.addEventListener('scroll', () => this.tocUpdateCurrent(), {'passive': true});
+        this.window.addEventListener('pagehide', () => this.scrollSave());
+        this.window.document.addEventListener('keydown', (event) => this.shortcutKeyDown(event));
     }
 
 
     async render(forceRender = false) {
         // Parse the hash parameters and render the application element model
-        let result;
         let isError = false;
+        const {'state': historyState} = this.window.history;
         try {
+            // Save the rendered document's scroll position
+            this.scrollSave();
+
             // Validate hash parameters
-            const paramsPrev = this.params;
+            const paramsPrev = this.paramsError === null ? this.params : null;
             this.updateParams();
 
             // Skip the render if the page params haven't changed
@@ -193,31 +487,57 @@ export class MarkdownUp {
                 return;
             }
         } catch ({message}) {
-            result = {
-                'title': 'MarkdownUp',
-                'elements': {'html': 'p', 'elem': {'text': `Error: ${message}`}}
-            };
+            // Render the error page with the default hash parameters
+            this.params = {};
+            this.paramsError = message;
             isError = true;
         }
 
-        // Set the colors
-        const isDarkMode = this.paramsLocal.darkMode ?? this.darkMode;
+        // Abort the previous document's running scripts and pending fetches
+        this.abortController.abort();
+        this.abortController = new AbortController();
+        const {signal} = this.abortController;
+
+        // Call the application main and validate the result
+        this.runtimeCount += 1;
+        this.clearRuntimeCallbacks();
+        this.clearRefresh();
+        const result = await this.main();
+
+        // Did another render begin while this document was rendering? If so, discard the stale result.
+        if (signal.aborted) {
+            return;
+        }
+
+        // Set the colors - the print view is always light
+        // Note: This is done after main since the document's front matter may set the defaults
+        const isPrint = !isError && this.params.view === 'print';
+        const isDarkMode = !isPrint && this.getSetting('darkMode');
         this.window.document.documentElement.style.colorScheme = isDarkMode ? 'dark' : 'light';
 
+        // Set the document language and text direction - the menu is mirrored for right-to-left documents
+        const lang = this.frontMatter.lang ?? this.lang ?? this.locale ?? this.localeMessagesLocale;
+        this.window.document.documentElement.lang = lang;
+        this.window.document.documentElement.dir = this.frontMatter.dir ?? this.dir ?? getLocaleDirection(lang);
+
+        // Set the color theme's CSS custom properties - the print view always uses the default theme
+        this.setTheme(isPrint ? null : this.getTheme());
+
         // Set the font size
-        const fontSize = this.paramsLocal.fontSize ?? this.fontSize;
+        const fontSize = this.getSetting('fontSize');
         this.window.document.documentElement.style.setProperty('--barescript-font-size', `${fontSize}pt`);
 
         // Set the line height
-        const lineHeight = this.paramsLocal.lineHeight ?? this.lineHeight;
+        const lineHeight = this.getSetting('lineHeight');
         this.window.document.documentElement.style.setProperty('--barescript-line-height', `${lineHeight}em`);
 
-        // Call the application main and validate the result
-        this.runtimeCount += 1;
-        this.clearRuntimeCallbacks();
-        if (!isError) {
-            result = await this.main();
-        }
+        // Set the font family
+        const fontFamily = this.getFontFamily();
+        this.window.document.documentElement.style.setProperty('--markdown-up-font-family', this.getFontFamilies()[fontFamily]);
+
+        // Set the maximum content width
+        const contentWidth = this.getSetting('contentWidth');
+        this.window.document.documentElement.style.setProperty('--markdown-up-content-width', contentWidthValues[contentWidth]);
 
         // Set the window title
         const title = result.title ?? null;
@@ -238,61 +558,209 @@ export class MarkdownUp {
 
         // Set the document keydown handler?
         if ('keyDown' in result) {
-            this.runtimeDocumentKeyDown = result.keyDown;
-            this.window.document.addEventListener('keydown', async (event) => {
+            this.runtimeDocumentKeyDown = async (event) => {
                 // Is the active element something that wants this event?
-                const {activeElement} = this.window.document;
-                if (activeElement instanceof this.window.HTMLElement &&
-                    (activeElement.tagName === 'INPUT' ||
-                     activeElement.tagName === 'TEXTAREA' ||
-                     activeElement.tagName === 'SELECT' ||
-                     activeElement.isContentEditable ||
-                     activeElement.getAttribute('role') === 'textbox' ||
-                     activeElement.getAttribute('role') === 'combobox' ||
-                     activeElement.getAttribute('role') === 'searchbox'
-                    )
-                   ) {
+                if (this.isInputActive()) {
                     return;
                 }
 
                 // Call the document keydown handler
                 await result.keyDown(event);
-            });
+            };
+            this.window.document.addEventListener('keydown', this.runtimeDocumentKeyDown);
         }
 
-        // Render the element model
+        // Render the element model - preserve the focused menu button, if any
+        const menuFocus = this.menuFocus ?? this.getMenuFocus();
+        this.menuFocus = null;
         renderElements(this.window.document.body, result.elements);
+        this.tocUpdateCurrent();
+        this.findIndex = 0;
+        this.findHighlight();
+
+        // Print view? If so, expand all collapsed content.
+        this.window.document.documentElement.classList.toggle('markdown-up-print', isPrint);
+        if (isPrint) {
+            for (const details of this.window.document.querySelectorAll('details')) {
+                details.open = true;
+            }
+        }
 
         // Navigate?
         // Note: This is done after render since it may have no effect (in which case we need to render)
         if ('location' in result && result.location !== null) {
-            this.window.location.href = result.location;
+            this.navigate(result.location);
 
         // If there is a header ID, re-navigate to scroll to the header ID since it was just rendered.
         // The re-render is short-circuited by the unchanged hash param check above.
         } else if (!isError && getHeaderId(this.window.location.hash) !== null) {
             this.window.location.href = this.window.location.hash;
+
+        // Otherwise, scroll to the first find text match, if any
+        } else if (this.findMatches.length !== 0) {
+            this.findStep(0);
+
+        // Otherwise, restore the scroll position on forced renders and history navigation (back/forward)
+        } else if (!isError && (forceRender || historyState !== null)) {
+            this.scrollRestore();
+        }
+
+        // Mark the history entry as rendered (for scroll position restore on history navigation)
+        if (!isError && historyState === null) {
+            this.window.history.replaceState({'markdownUp': 1}, '');
         }
 
         // Focus?
         if ('focus' in result) {
             this.setDocumentFocus(result.focus);
+        } else if (!isError && this.params.find === '') {
+            this.setDocumentFocus('menu-find-input');
+        } else if (menuFocus !== null) {
+            this.setMenuFocus(menuFocus);
+        }
+
+        // Live reload?
+        if (!isError) {
+            this.setRefresh();
+        }
+    }
+
+
+    // Schedule the next live reload check, if live reload is enabled
+    setRefresh() {
+        const refresh = this.params.refresh ?? this.refresh;
+        if (refresh > 0 && this.refreshDocument !== null) {
+            this.refreshTimeoutId = this.window.setTimeout(() => this.refreshCheck(), refresh * 1000);
+        }
+    }
+
+
+    // Clear the live reload timeout, if one is set
+    clearRefresh() {
+        if (this.refreshTimeoutId !== null) {
+            this.window.clearTimeout(this.refreshTimeoutId);
+            this.refreshTimeoutId = null;
+        }
+    }
+
+
+    // Check the rendered document for changes and re-render if it changed, keeping the scroll position
+    async refreshCheck() {
+        this.refreshTimeoutId = null;
+        const {runtimeCount} = this;
+        const {url, text} = this.refreshDocument;
+        let isChanged = false;
+        try {
+            const {cacheEntry} = await this.fetchDocument(url, true);
+            isChanged = cacheEntry !== null && cacheEntry.text !== text;
+        } catch {
+            // Do nothing - check again later
+        }
+
+        // Did a render occur during the fetch?
+        if (this.runtimeCount !== runtimeCount) {
+            return;
+        }
+
+        // Re-render the changed document or schedule the next check
+        if (isChanged) {
+            if ('debug' in this.paramsSession) {
+                this.window.console.log(`MarkdownUp: ${this.getMessage('logRefresh', {url})}`);
+            }
+            await this.render(true);
+        } else {
+            this.setRefresh();
+        }
+    }
+
+
+    // Get the current location's parameter string - for path routing, the URL path is the "url" parameter
+    // and the query string is the other parameters
+    getLocationParamString() {
+        const {location} = this.window;
+        if (this.routing !== 'path') {
+            return location.hash.slice(1);
+        }
+        const path = location.pathname.startsWith(this.basePath) ? decodeURI(location.pathname.slice(this.basePath.length)) : '';
+        const queryString = location.search.slice(1);
+        if (path === '') {
+            return queryString;
+        }
+        const pathString = encodeQueryString({'url': path});
+        return queryString !== '' ? `${pathString}&${queryString}` : pathString;
+    }
+
+
+    // Get an application parameters' location URL, with an optional header ID. For path routing, a relative
+    // "url" parameter is the URL path.
+    getParamsURL(params, headerId = null) {
+        if (this.routing !== 'path') {
+            const paramString = encodeQueryString(params);
+            return `#${paramString}${headerId !== null && paramString !== '' ? '&' : ''}${headerId !== null ? headerId : ''}`;
+        }
+
+        const {url = '', ...queryParams} = params;
+        const isPath = url !== '' && isRelativeURL(url);
+        const queryString = encodeQueryString(isPath || url === '' ? queryParams : params);
+        const path = `${this.basePath}${isPath ? encodeURI(url) : ''}`;
+        const routeURL = `${path}${queryString !== '' ? `?${queryString}` : ''}${headerId !== null ? `#${headerId}` : ''}`;
+
+        // Add the route URL for path routing link clicks
+        this.routeURLs.add(new URL(routeURL, this.window.location.href).href);
+        return routeURL;
+    }
+
+
+    // Resolve a relative resource URL - for path routing, relative resource URLs are relative to the "docsPath"
+    resolveURL(url) {
+        return this.routing === 'path' && isRelativeURL(url) ? `${this.docsPath}${url}` : url;
+    }
+
+
+    // Navigate to a URL - for path routing, application URLs are pushed to the browser history and rendered
+    async navigate(url) {
+        const {location} = this.window;
+        if (this.routing === 'path' && !url.startsWith('#')) {
+            const navURL = new URL(url, location.href);
+            if (navURL.origin === location.origin && navURL.pathname.startsWith(this.basePath)) {
+                // Same page? If so, navigate to the header ID, if any.
+                if (navURL.pathname === location.pathname && navURL.search === location.search) {
+                    if (navURL.hash !== '') {
+                        location.hash = navURL.hash;
+                    }
+                    return;
+                }
+
+                this.window.history.pushState(null, '', navURL.href);
+                await this.render();
+                return;
+            }
+        }
+        location.href = url;
+    }
+
+
+    // Path routing link click handler - application route links are rendered without reloading the page
+    linkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) {
+            return;
         }
+        const link = event.target.closest?.('a[href]') ?? null;
+        if (link === null || (link.target !== '' && link.target !== '_self') || !this.routeURLs.has(link.href)) {
+            return;
+        }
+        event.preventDefault();
+        this.navigate(link.href);
     }
 
 
     updateParams(paramString = null, localJSONString = null, sessionJSONString = null) {
-        // Clear, then validate the hash parameters (may throw)
+        // Clear, then validate the storage parameters and the hash parameters (may throw)
         this.params = null;
         this.paramsLocal = {};
         this.paramsSession = {};
-
-        // Decode and validate the hash parameters
-        this.params = validateType(
-            markdownUpTypes,
-            'MarkdownUp',
-            decodeQueryString(paramString ?? this.window.location.hash.slice(1))
-        );
+        this.paramsError = null;
+        this.paramValues = {};
 
         // Decode and validate the local storage paramters
         const localJSON = localJSONString ?? this.window.localStorage.getItem('MarkdownUp');
@@ -313,6 +781,37 @@ export class MarkdownUp {
                 // Do nothing
             }
         }
+
+        // Decode and validate the hash parameters
+        this.params = validateType(
+            markdownUpTypes,
+            'MarkdownUp',
+            decodeQueryString(paramString ?? this.getLocationParamString())
+        );
+
+        // Validate the application's typed parameters - the document's typed parameters are validated on render
+        this.paramValues = validateParamValues(this.paramsTypes, this.params.param ?? {}, true);
+    }
+
+
+    // Merge parameters into the application parameters and update the location without rendering. Object
+    // parameters (e.g. "param") are merged and null values are removed (may throw).
+    setParams(params, replace = false) {
+        // Validate the merged parameters before updating the location
+        const paramsMerged = mergeParams(this.params, params);
+        validateParamValues(this.getParamsTypes(), validateType(markdownUpTypes, 'MarkdownUp', paramsMerged).param ?? {});
+
+        // Update the location - the browser doesn't fire a hashchange (or popstate) event, so there is no render
+        const url = this.getParamsURL(paramsMerged);
+        if (replace) {
+            this.window.history.replaceState(this.window.history.state, '', url);
+        } else {
+            this.window.history.pushState({'markdownUp': 1}, '', url);
+        }
+
+        // Update the parameters from the location
+        this.updateParams();
+        this.paramValues = validateParamValues(this.getParamsTypes(), this.params.param ?? {});
     }
 
 
@@ -337,6 +836,149 @@ export class MarkdownUp {
     }
 
 
+    // Get a document setting - the local storage value, the document's front matter value, or the
+    // application default
+    getSetting(name) {
+        return this.paramsLocal[name] ?? this.frontMatter[name] ?? this[name];
+    }
+
+
+    // Get the current color theme's CSS custom properties, or null for the default theme
+    getTheme() {
+        const themeName = this.getSetting('theme');
+        if (themeName === null || this.themes === null || !Object.hasOwn(this.themes, themeName)) {
+            return null;
+        }
+        return this.themes[themeName];
+    }
+
+
+    // Set the color theme's CSS custom properties on the document element, removing the previous theme's
+    setTheme(theme) {
+        const {style} = this.window.document.documentElement;
+        for (const property of this.themeProperties) {
+            style.removeProperty(property);
+        }
+        this.themeProperties = [];
+        if (theme !== null) {
+            for (const [property, value] of Object.entries(theme)) {
+                style.setProperty(property, value);
+                this.themeProperties.push(property);
+            }
+        }
+    }
+
+
+    // Get the font family name to CSS font stack map - the built-in font families and the application font families
+    getFontFamilies() {
+        return {...fontFamilyStacks, ...this.fontFamilies};
+    }
+
+
+    // Get the current font family name - unknown font family names (e.g. from local storage) use the default
+    getFontFamily() {
+        const fontFamilies = this.getFontFamilies();
+        const fontFamily = this.getSetting('fontFamily');
+        if (Object.hasOwn(fontFamilies, fontFamily)) {
+            return fontFamily;
+        }
+        return Object.hasOwn(fontFamilies, this.fontFamily) ? this.fontFamily : 'sans';
+    }
+
+
+    // Format a message from the locale's message catalog
+    getMessage(messageId, params = null) {
+        return formatMessage(this.localeMessages, messageId, params);
+    }
+
+
+    // Is the active element something that wants keyboard events (e.g. an input element)?
+    isInputActive() {
+        const {activeElement} = this.window.document;
+        return activeElement instanceof this.window.HTMLElement && (
+            activeElement.tagName === 'INPUT' ||
+            activeElement.tagName === 'TEXTAREA' ||
+            activeElement.tagName === 'SELECT' ||
+            activeElement.isContentEditable ||
+            activeElement.getAttribute('role') === 'textbox' ||
+            activeElement.getAttribute('role') === 'combobox' ||
+            activeElement.getAttribute('role') === 'searchbox'
+        );
+    }
+
+
+    // Handle a keyboard shortcut keydown event. Keyboard shortcuts yield to input elements and to the
+    // document's keydown event handler, if any.
+    shortcutKeyDown(event) {
+        if (!this.getSetting('menu') || this.runtimeDocumentKeyDown !== null || event.defaultPrevented ||
+            event.ctrlKey || event.altKey || event.metaKey || this.isInputActive()) {
+            return;
+        }
+
+        // Close the keyboard shortcuts overlay or the popup menu?
+        if (event.key === 'Escape') {
+            if (this.shortcutsClose() || this.menuClose()) {
+                event.preventDefault();
+            }
+            return;
+        }
+
+        // Keyboard shortcut?
+        const shortcut = this.getShortcuts().find(({key}) => key === event.key) ?? null;
+        if (shortcut !== null) {
+            event.preventDefault();
+            shortcut.action(this);
+        }
+    }
+
+
+    // Get the keyboard shortcuts - the book shortcuts are available only in book mode
+    getShortcuts() {
+        return shortcuts.filter(({book = false}) => !book || this.bookPages !== null);
+    }
+
+
+    // Show or hide the keyboard shortcuts overlay
+    shortcutsToggle() {
+        if (!this.shortcutsClose()) {
+            renderElements(this.window.document.body, this.shortcutsElements(), false);
+        }
+    }
+
+
+    // Close the keyboard shortcuts overlay - returns true if the overlay was shown
+    shortcutsClose() {
+        const overlay = this.window.document.querySelector('.menu-shortcuts');
+        if (overlay === null) {
+            return false;
+        }
+        overlay.remove();
+        return true;
+    }
+
+
+    // Render the keyboard shortcuts overlay element model
+    shortcutsElements() {
+        return {
+            'html': 'div',
+            'attr': {'class': 'menu-shortcuts'},
+            'elem': {
+                'html': 'table',
+                'elem': this.getShortcuts().map(({key, messageId}) => ({
+                    'html': 'tr',
+                    'elem': [
+                        {'html': 'td', 'elem': {'html': 'kbd', 'elem': {'text': key}}},
+                        {'html': 'td', 'elem': {'text': this.getMessage(messageId)}}
+                    ]
+                }))
+            },
+            'callback': (element) => {
+                element.addEventListener('click', () => element.remove());
+            }
+        };
+    }
+
+
     setDocumentFocus(focusId) {
         const element = this.window.document.getElementById(focusId);
         if (element !== null) {
@@ -350,8 +992,13 @@ export class MarkdownUp {
 
 
     async main() {
+        this.frontMatter = {};
+        this.tocHeaders = null;
+        this.refreshDocument = null;
+        this.routeURLs.clear();
         const url = this.getResourceURL();
         const scriptOptions = this.createScriptOptions();
+        this.runtimeMenuItems = scriptOptions.runtime.documentMenuItems;
 
         // Load BareScript
         const includeScript = {
@@ -373,12 +1020,20 @@ export class MarkdownUp {
         };
         await executeScriptAsync(includeScript, scriptOptions);
         const getMarkdownTitle = (markdown) => scriptOptions.globals.markdownTitle([markdown], scriptOptions);
-        const markdownElementsAsync =
-              (markdown, markdownOptions) => scriptOptions.globals.markdownElementsAsync([markdown, markdownOptions], scriptOptions);
         const parseMarkdown = (text) => scriptOptions.globals.markdownParse([text], scriptOptions);
+        const getMarkdownHeaderId = (text) => scriptOptions.globals.markdownHeaderId([text], scriptOptions);
+
+        // Hash parameters error?
+        if (this.paramsError !== null) {
+            return this.errorMain(scriptOptions, {'message': this.paramsError});
+        }
+
+        // Load the book's pages, if any
+        await this.loadBook(scriptOptions, parseMarkdown);
 
         // Get the Markdown text
         let markdownText;
+        let documentCacheEntry = null;
         let timeBegin;
         if (this.markdownText !== null && !('url' in this.params && this.params.url !== '')) {
             ({markdownText} = this);
@@ -386,63 +1041,191 @@ export class MarkdownUp {
             // Log Markdown render begin
             if (scriptOptions.debug) {
                 timeBegin = performance.now();
-                scriptOptions.logFn('MarkdownUp: ===== Rendering Markdown text');
+                scriptOptions.logFn(`MarkdownUp: ${this.getMessage('logRenderText')}`);
             }
         } else {
             // Log Markdown render begin
             if (scriptOptions.debug) {
-                scriptOptions.logFn(`MarkdownUp: ===== Rendering Markdown document "${url}"`);
+                scriptOptions.logFn(`MarkdownUp: ${this.getMessage('logRenderURL', {url})}`);
             }
 
             // Log Markdown fetch begin
             let fetchBegin;
             if (scriptOptions.debug) {
                 fetchBegin = performance.now();
-                scriptOptions.logFn(`MarkdownUp: Fetching "${url}" ...`);
-            }
-
-            // Fetch the Markdown text resource URL
-            const response = await this.window.fetch(url);
-            if (!response.ok) {
-                const status = response.statusText;
-                return {
-                    'title': 'MarkdownUp',
-                    'elements': {
-                        'html': 'p',
-                        'elem': {'text': `Error: Could not fetch "${url}"${status === '' ? '' : ` - ${JSON.stringify(status)}`}`}
-                    }
-                };
+                scriptOptions.logFn(`MarkdownUp: ${this.getMessage('logFetch', {url})}`);
             }
-            markdownText = await response.text();
+
+            // Fetch the Markdown text resource URL (or get it from the document cache)
+            let cacheEntry;
+            let response;
+            try {
+                ({cacheEntry, response} = await this.fetchDocument(url));
+            } catch ({message}) {
+                const errorMessage = this.getMessage('errorFetchDetail', {url, 'detail': JSON.stringify(message)});
+                return this.errorMain(scriptOptions, {'message': errorMessage, url});
+            }
+            if (cacheEntry === null) {
+                const {statusText} = response;
+                return this.errorMain(scriptOptions, {
+                    'message': statusText === ''
+                        ? this.getMessage('errorFetch', {url})
+                        : this.getMessage('errorFetchDetail', {url, 'detail': JSON.stringify(statusText)}),
+                    'status': response.status ?? null,
+                    statusText,
+                    url
+                });
+            }
+            markdownText = cacheEntry.text;
+            documentCacheEntry = cacheEntry;
+            this.refreshDocument = {url, 'text': markdownText};
 
             // Log Markdown fetch end with timing
             if (scriptOptions.debug) {
                 const fetchEnd = performance.now();
                 timeBegin = performance.now();
-                scriptOptions.logFn(`MarkdownUp: Fetch completed in ${(fetchEnd - fetchBegin).toFixed(1)} milliseconds`);
+                let fetchMessageId = 'logFetchEnd';
+                if (response === null) {
+                    fetchMessageId = 'logFetchEndCached';
+                } else if (response.status === 304) {
+                    fetchMessageId = 'logFetchEndNotModified';
+                }
+                const fetchTime = (fetchEnd - fetchBegin).toFixed(1);
+                scriptOptions.logFn(`MarkdownUp: ${this.getMessage(fetchMessageId, {'time': fetchTime})}`);
             }
         }
 
-        // Parse the Markdown and get the title
-        const markdownModel = parseMarkdown(markdownText);
-        const markdownTitle = getMarkdownTitle(markdownModel);
+        // Parse and apply the front matter, if any
+        let frontMatter;
+        let markdownBody;
+        try {
+            [frontMatter, markdownBody] = parseFrontMatter(markdownText);
+            await this.applyFrontMatter(frontMatter, scriptOptions);
+        } catch ({message}) {
+            this.frontMatter = {};
+            return this.errorMain(scriptOptions, {'message': this.getMessage('errorFrontMatter', {message})});
+        }
 
-        // Display the Markdown?
-        if (this.params.view === 'markdown') {
-            return {
-                'title': markdownTitle,
-                'elements': [
-                    this.burgerElements(),
-                    {'html': 'div', 'attr': {'class': 'markdown'}, 'elem': {'text': markdownText}}
+        // Validate the application's and document's typed parameters
+        try {
+            this.paramValues = validateParamValues(this.getParamsTypes(), this.params.param ?? {});
+            scriptOptions.globals.markdownUpParams = this.paramValues;
+        } catch ({message}) {
+            return this.errorMain(scriptOptions, {message});
+        }
+
+        // Parse the Markdown (or use the cached Markdown model) and get the title
+        let markdownModel;
+        if (documentCacheEntry !== null && documentCacheEntry.model !== null) {
+            markdownModel = documentCacheEntry.model;
+        } else {
+            markdownModel = parseMarkdown(markdownBody);
+            if (documentCacheEntry !== null) {
+                documentCacheEntry.model = markdownModel;
+            }
+        }
+        const markdownTitle = this.frontMatter.title ?? getMarkdownTitle(markdownModel);
+        this.tocHeaders = getMarkdownHeaders(markdownModel, getMarkdownHeaderId);
+
+        // Display the Markdown?
+        if (this.params.view === 'markdown') {
+            return {
+                'title': markdownTitle,
+                'elements': [
+                    this.burgerElements(),
+                    {'html': 'div', 'attr': {'class': 'markdown'}, 'elem': {'text': markdownText}}
+                ]
+            };
+        }
+
+        // Display the table of contents?
+        if (this.params.view === 'toc') {
+            return {
+                'title': markdownTitle,
+                'elements': [
+                    this.burgerElements(),
+                    {'html': 'div', 'attr': {'class': 'toc'}, 'elem': this.tocElements()}
                 ]
             };
         }
 
-        // Copy the markdown options and override the markdown-script code block renderer
+        // Render the Markdown
+        const result = await this.markdownMain(markdownModel, markdownTitle, scriptOptions);
+
+        // Log Markdown render end
+        if (scriptOptions.debug) {
+            const timeEnd = performance.now();
+            scriptOptions.logFn(`MarkdownUp: ${this.getMessage('logRenderEnd', {'time': (timeEnd - timeBegin).toFixed(1)})}`);
+        }
+
+        return result;
+    }
+
+
+    // Validate and apply a document's front matter - set the document's default settings, add its default
+    // variables, and execute its includes (may throw)
+    async applyFrontMatter(frontMatter, scriptOptions) {
+        this.frontMatter = validateType(markdownUpTypes, 'MarkdownUpFrontMatter', frontMatter);
+        scriptOptions.fontSize = this.getSetting('fontSize');
+
+        // Add the default variables, if any
+        if ('var' in this.frontMatter) {
+            const varExprs = {};
+            for (const [varName, varExprStr] of Object.entries(this.frontMatter.var)) {
+                if (!('var' in this.params && varName in this.params.var)) {
+                    varExprs[varName] = varExprStr;
+                }
+            }
+            this.addScriptVariables(scriptOptions, varExprs);
+        }
+
+        // Execute the includes, if any - the included script functions are tracked for the script error panel
+        if ('includes' in this.frontMatter) {
+            const includes = this.frontMatter.includes.map((includeURL) => {
+                const mSystem = includeURL.match(rSystemInclude);
+                return mSystem !== null ? {'url': mSystem[1], 'system': true} : {'url': includeURL};
+            });
+            await markdownScriptInclude(includes, scriptOptions);
+        }
+    }
+
+
+    // Get the typed parameters' type model - the document's typed parameters are added to the application's
+    getParamsTypes() {
+        if (!('params' in this.frontMatter)) {
+            return this.paramsTypes;
+        }
+
+        // Parse the document's "Params" struct - its members may use the application's user types
+        const {'Params': appParams, ...types} = this.paramsTypes;
+        const memberLines = Object.entries(this.frontMatter.params).map(([name, memberType]) => `    ${memberType} ${name}`);
+        const paramsTypes = parseSchemaMarkdown(`struct Params\n${memberLines.join('\n')}`, {'types': {...types}});
+
+        // Add the application's members not declared by the document
+        const docMembers = paramsTypes.Params.struct.members ?? [];
+        const appMembers = (appParams.struct.members ?? []).filter(({name}) => !docMembers.some((member) => member.name === name));
+        paramsTypes.Params = {'struct': {...paramsTypes.Params.struct, 'members': [...appMembers, ...docMembers]}};
+        return paramsTypes;
+    }
+
+
+    // Render a Markdown model, including its markdown-script code blocks
+    async markdownMain(markdownModel, markdownTitle, scriptOptions) {
+        const markdownElementsAsync =
+              (markdown, markdownOptions) => scriptOptions.globals.markdownElementsAsync([markdown, markdownOptions], scriptOptions);
+
+        // Copy the markdown options and override the markdown-script code block renderers. Code blocks with
+        // info string flags (e.g. "markdown-script isolate") have their own languages. Isolated code blocks
+        // execute with their own globals layered over the library globals.
+        const libraryGlobals = {...scriptOptions.globals};
         const scriptMarkdownOptions = {...scriptOptions.markdownOptions};
         scriptMarkdownOptions.codeBlocks = {...scriptMarkdownOptions.codeBlocks};
-        scriptMarkdownOptions.codeBlocks['markdown-script'] =
-            ([codeBlock], fnScriptOptions) => markdownScriptCodeBlock(codeBlock, fnScriptOptions);
+        for (const language of getMarkdownCodeBlockLanguages(markdownModel, new Set(['markdown-script']))) {
+            if (language.split(rWhitespace)[0] === 'markdown-script') {
+                scriptMarkdownOptions.codeBlocks[language] =
+                    ([codeBlock], fnScriptOptions) => markdownScriptCodeBlock(codeBlock, fnScriptOptions, libraryGlobals);
+            }
+        }
 
         // Render the Markdown
         const contentElements = await markdownElementsAsync(markdownModel, scriptMarkdownOptions);
@@ -458,6 +1241,17 @@ export class MarkdownUp {
             ]
         };
 
+        // Book page? If so, add the previous and next page links.
+        const bookNavElements = this.bookNavElements();
+        if (bookNavElements !== null) {
+            result.elements.push(bookNavElements);
+        }
+
+        // Profile view? If so, add the script profile panel.
+        if ('profiler' in scriptOptions) {
+            result.elements.push(scriptOptions.profiler.elements(scriptOptions.messages));
+        }
+
         // Set any runtime side-effects
         if (scriptOptions.runtime.documentFocus !== null) {
             result.focus = scriptOptions.runtime.documentFocus;
@@ -481,16 +1275,303 @@ export class MarkdownUp {
         // Reset the runtime
         scriptOptions.runtime.reset();
 
-        // Log Markdown render end
-        if (scriptOptions.debug) {
-            const timeEnd = performance.now();
-            scriptOptions.logFn(`MarkdownUp: Markdown rendered in ${(timeEnd - timeBegin).toFixed(1)} milliseconds`);
+        return result;
+    }
+
+
+    // Render the error page for a resource fetch error or a hash parameters error. The error page is the
+    // "notFoundURL" document (for "Not Found" fetch errors), the "errorMarkdown" text, or the built-in
+    // error page.
+    async errorMain(scriptOptions, {message, status = null, statusText = '', url = null}) {
+        const parseMarkdown = (text) => scriptOptions.globals.markdownParse([text], scriptOptions);
+        const getMarkdownTitle = (markdown) => scriptOptions.globals.markdownTitle([markdown], scriptOptions);
+
+        // Fetch the "Not Found" error page document?
+        let markdownText = null;
+        if (status === 404 && this.notFoundURL !== null) {
+            try {
+                const {cacheEntry} = await this.fetchDocument(this.notFoundURL);
+                if (cacheEntry !== null) {
+                    markdownText = cacheEntry.text;
+                }
+            } catch {
+                // Do nothing - use the error page Markdown text or the built-in error page
+            }
+        }
+        markdownText ??= this.errorMarkdown;
+
+        // Built-in error page?
+        if (markdownText === null) {
+            return {
+                'title': 'MarkdownUp',
+                'elements': [
+                    this.burgerElements(),
+                    this.errorElements(message, status, statusText, url)
+                ]
+            };
         }
 
+        // Render the error page Markdown
+        scriptOptions.globals.markdownUpError = {message, status, statusText, url};
+        const markdownModel = parseMarkdown(markdownText);
+        const result = await this.markdownMain(markdownModel, getMarkdownTitle(markdownModel), scriptOptions);
+        result.title ??= 'MarkdownUp';
         return result;
     }
 
 
+    // Render the built-in error page element model - the error message, the status and URL (for fetch
+    // errors), and the Retry (for fetch errors) and Back links
+    errorElements(message, status, statusText, url) {
+        return {
+            'html': 'div',
+            'attr': {'class': 'markdown-up-error'},
+            'elem': [
+                {'html': 'p', 'elem': {'text': this.getMessage('errorMessage', {message})}},
+                status === null ? null : {
+                    'html': 'p',
+                    'elem': [
+                        {'html': 'strong', 'elem': {'text': this.getMessage('errorStatus')}},
+                        {'text': ` ${status}${statusText !== '' ? ` ${statusText}` : ''}`}
+                    ]
+                },
+                url === null ? null : {
+                    'html': 'p',
+                    'elem': [
+                        {'html': 'strong', 'elem': {'text': this.getMessage('errorURL')}},
+                        {'text': ` ${new URL(this.resolveURL(url), this.window.location.href).href}`}
+                    ]
+                },
+                {
+                    'html': 'p',
+                    'elem': [
+                        url === null ? null : [
+                            {
+                                'html': 'a',
+                                'attr': {'href': this.getParamsURL(this.params)},
+                                'elem': {'text': this.getMessage('errorRetry')},
+                                'callback': (element) => {
+                                    element.addEventListener('click', (event) => {
+                                        event.preventDefault();
+                                        this.render(true);
+                                    });
+                                }
+                            },
+                            {'text': ' | '}
+                        ],
+                        {
+                            'html': 'a',
+                            'attr': {'href': '#'},
+                            'elem': {'text': this.getMessage('errorBack')},
+                            'callback': (element) => {
+                                element.addEventListener('click', (event) => {
+                                    event.preventDefault();
+                                    this.window.history.back();
+                                });
+                            }
+                        }
+                    ]
+                }
+            ]
+        };
+    }
+
+
+    // Fetch a Markdown document using the document cache. Cached documents are revalidated using
+    // conditional requests once their time-to-live has elapsed (or always, if revalidate is true).
+    // Returns an object with the document's cache entry (null on error) and the fetch response (null
+    // if the cached document was used as-is).
+    async fetchDocument(url, revalidate = false) {
+        const cacheURL = new URL(this.resolveURL(url), this.window.location.href).href;
+        const cacheEntry = this.getDocumentCache().get(cacheURL) ?? null;
+        const now = Date.now();
+
+        // Cached document within its time-to-live?
+        if (!revalidate && cacheEntry !== null && now - cacheEntry.time < this.cacheTTL) {
+            this.setDocumentCache(cacheEntry);
+            return {cacheEntry, 'response': null};
+        }
+
+        // Fetch the document - conditionally, if it's cached
+        const headers = {};
+        if (cacheEntry !== null && 'etag' in cacheEntry) {
+            headers['If-None-Match'] = cacheEntry.etag;
+        }
+        if (cacheEntry !== null && 'lastModified' in cacheEntry) {
+            headers['If-Modified-Since'] = cacheEntry.lastModified;
+        }
+        const response = await this.window.fetch(this.resolveURL(url), {headers, 'signal': this.abortController.signal});
+
+        // Not modified?
+        if (cacheEntry !== null && response.status === 304) {
+            cacheEntry.time = now;
+            this.setDocumentCache(cacheEntry);
+            return {cacheEntry, response};
+        }
+
+        // Error?
+        if (!response.ok) {
+            return {'cacheEntry': null, response};
+        }
+
+        // Create the new cache entry
+        const cacheEntryNew = {'url': cacheURL, 'text': await response.text(), 'time': now, 'model': null};
+        const etag = response.headers?.get('ETag') ?? null;
+        if (etag !== null) {
+            cacheEntryNew.etag = etag;
+        }
+        const lastModified = response.headers?.get('Last-Modified') ?? null;
+        if (lastModified !== null) {
+            cacheEntryNew.lastModified = lastModified;
+        }
+        this.setDocumentCache(cacheEntryNew);
+        return {'cacheEntry': cacheEntryNew, response};
+    }
+
+
+    // Get the scroll positions map, loading it from session storage on first use
+    getScrollPositions() {
+        if (this.scrollPositions === null) {
+            this.scrollPositions = new Map();
+            const scrollJSON = this.window.sessionStorage.getItem('MarkdownUpScroll');
+            if (scrollJSON !== null) {
+                try {
+                    const scroll = validateType(markdownUpTypes, 'MarkdownUpScroll', JSON.parse(scrollJSON));
+                    for (const scrollPosition of scroll.positions) {
+                        this.scrollPositions.set(scrollPosition.url, scrollPosition);
+                    }
+                } catch {
+                    // Do nothing
+                }
+            }
+        }
+        return this.scrollPositions;
+    }
+
+
+    // Get the scroll position key - the rendered document's resolved resource URL, or null if the
+    // rendered document is not the Markdown document view
+    getScrollKey() {
+        if (this.params === null || this.paramsError !== null || 'view' in this.params) {
+            return null;
+        }
+        return new URL(this.resolveURL(this.params.url ?? this.url), this.window.location.href).href;
+    }
+
+
+    // Save the rendered document's scroll position
+    scrollSave() {
+        const scrollKey = this.getScrollKey();
+        if (scrollKey === null) {
+            return;
+        }
+
+        // Add the scroll position as the most-recently saved, evicting as necessary
+        const scrollPositions = this.getScrollPositions();
+        scrollPositions.delete(scrollKey);
+        scrollPositions.set(scrollKey, {'url': scrollKey, ...this.getScrollPosition()});
+        while (scrollPositions.size > scrollPositionsSize) {
+            scrollPositions.delete(scrollPositions.keys().next().value);
+        }
+
+        // Persist the scroll positions to session storage
+        try {
+            const positions = Array.from(scrollPositions.values());
+            this.window.sessionStorage.setItem('MarkdownUpScroll', JSON.stringify({positions}));
+        } catch {
+            // Do nothing - session storage is full
+        }
+    }
+
+
+    // Restore the rendered document's saved scroll position, if any
+    scrollRestore() {
+        const scrollKey = this.getScrollKey();
+        const scrollPosition = scrollKey !== null ? (this.getScrollPositions().get(scrollKey) ?? null) : null;
+        if (scrollPosition !== null) {
+            this.setScrollPosition(scrollPosition);
+        }
+    }
+
+
+    // Get the window's scroll position, anchored to the header nearest the top of the viewport
+    getScrollPosition() {
+        const scrollPosition = {'scrollY': this.window.scrollY};
+        for (const header of this.window.document.body.querySelectorAll(scrollHeaderSelector)) {
+            const {top} = header.getBoundingClientRect();
+            if (!('offset' in scrollPosition) || Math.abs(top) < Math.abs(scrollPosition.offset)) {
+                scrollPosition.header = header.id;
+                scrollPosition.offset = top;
+            }
+        }
+        return scrollPosition;
+    }
+
+
+    // Scroll the window to a scroll position, preferring its header anchor (which survives font size changes)
+    setScrollPosition(scrollPosition) {
+        let {scrollY} = scrollPosition;
+        if ('header' in scrollPosition) {
+            const header = this.window.document.getElementById(scrollPosition.header);
+            if (header !== null) {
+                scrollY = this.window.scrollY + header.getBoundingClientRect().top - scrollPosition.offset;
+            }
+        }
+        if (scrollY !== this.window.scrollY) {
+            this.window.scrollTo(this.window.scrollX, scrollY);
+        }
+    }
+
+
+    // Get the document cache map, loading it from session storage on first use
+    getDocumentCache() {
+        if (this.documentCache === null) {
+            this.documentCache = new Map();
+            if (this.cacheSession) {
+                const cacheJSON = this.window.sessionStorage.getItem('MarkdownUpCache');
+                if (cacheJSON !== null) {
+                    try {
+                        const cache = validateType(markdownUpTypes, 'MarkdownUpCache', JSON.parse(cacheJSON));
+                        for (const cacheEntry of cache.entries) {
+                            this.documentCache.set(cacheEntry.url, {...cacheEntry, 'model': null});
+                        }
+                    } catch {
+                        // Do nothing
+                    }
+                }
+            }
+        }
+        return this.documentCache;
+    }
+
+
+    // Add or update a document cache entry as the most-recently used, evicting as necessary
+    setDocumentCache(cacheEntry) {
+        const documentCache = this.getDocumentCache();
+        documentCache.delete(cacheEntry.url);
+        if (this.cacheSize > 0) {
+            documentCache.set(cacheEntry.url, cacheEntry);
+            while (documentCache.size > this.cacheSize) {
+                documentCache.delete(documentCache.keys().next().value);
+            }
+        }
+
+        // Persist the document cache to session storage?
+        if (this.cacheSession) {
+            const entries = Array.from(documentCache.values()).map((entry) => {
+                const entryJSON = {...entry};
+                delete entryJSON.model;
+                return entryJSON;
+            });
+            try {
+                this.window.sessionStorage.setItem('MarkdownUpCache', JSON.stringify({entries}));
+            } catch {
+                // Do nothing - session storage is full
+            }
+        }
+    }
+
+
     getResourceURL() {
         if ('url' in this.params && this.params.url !== '') {
             return this.params.url;
@@ -499,6 +1580,22 @@ export class MarkdownUp {
     }
 
 
+    // Evaluate variable expressions and add them to the script options variables
+    addScriptVariables(scriptOptions, varExprs) {
+        scriptOptions.variables ??= {};
+        for (const [varName, varExprStr] of Object.entries(varExprs)) {
+            try {
+                scriptOptions.variables[varName] = evaluateExpression(parseExpression(varExprStr), scriptOptions.variables);
+            } catch ({message}) {
+                if (scriptOptions.debug) {
+                    const logMessage = this.getMessage('logVariableError', {'name': varName, 'expr': varExprStr, message});
+                    scriptOptions.logFn(`MarkdownUp: ${logMessage}`);
+                }
+            }
+        }
+    }
+
+
     createScriptOptions() {
         // Create the markdown options object
         const markdownOptions = {
@@ -513,17 +1610,28 @@ export class MarkdownUp {
         const logFn = (text) => {
             this.window.console.log(text);
         };
+
+        // The document's abort signal - aborts the document's scripts and pending fetches when the next render begins
+        const {signal} = this.abortController;
         const scriptOptions = {
             'audioContextFn': () => this.getAudioContext(),
             'audioNoiseBufferFn': () => this.getAudioNoiseBuffer(),
             'debug': 'debug' in this.paramsSession,
             // eslint-disable-next-line require-await
-            'fetchFn': async (fetchURL, options) => this.window.fetch(fetchURL, options),
-            'fontSize': this.paramsLocal.fontSize ?? this.fontSize,
+            'fetchFn': async (fetchURL, options) => this.window.fetch(fetchURL, {...options, signal}),
+            'fontSize': this.getSetting('fontSize'),
             'keyStateFn': () => this.keyState,
             logFn,
             markdownOptions,
+            'maxStatements': 'debug' in this.paramsSession ? this.debugMaxStatements : this.maxStatements,
+            'messages': this.localeMessages,
             'params': this.params,
+            'paramsSetFn': (params, replace) => {
+                this.setParams(params, replace);
+                scriptOptions.params = this.params;
+                scriptOptions.globals.markdownUpParams = this.paramValues;
+            },
+            signal,
             'systemPrefix': this.systemPrefix,
             'urlFn': (url) => this.modifyURL(url),
             'window': this.window
@@ -531,30 +1639,25 @@ export class MarkdownUp {
 
         // Add hash parameter variables, if any
         if ('var' in this.params) {
-            scriptOptions.variables = {};
-            for (const varName of Object.keys(this.params.var)) {
-                const varExprStr = this.params.var[varName];
-                try {
-                    scriptOptions.variables[varName] = evaluateExpression(parseExpression(varExprStr), scriptOptions.variables);
-                } catch ({message}) {
-                    if (scriptOptions.debug) {
-                        logFn(`MarkdownUp: Error evaluating variable "${varName}" expression "${varExprStr}": ${message}`);
-                    }
-                }
-            }
+            this.addScriptVariables(scriptOptions, this.params.var);
+        }
+
+        // Profile view? If so, profile the code blocks' function calls.
+        if (this.params.view === 'profile') {
+            scriptOptions.profiler = new MarkdownScriptProfiler();
         }
 
         // Create the markdown-script runtime
         const runtime = new MarkdownScriptRuntime(scriptOptions);
         const {runtimeCount} = this;
-        scriptOptions.globals = {...markdownScriptFunctions};
+        scriptOptions.globals = {...markdownScriptFunctions, 'markdownUpParams': this.paramValues};
         if (this.globals !== null) {
             Object.assign(scriptOptions.globals, this.globals);
         }
         scriptOptions.runtime = runtime;
         scriptOptions.runtimeUpdateFn = () => {
             // Did a render occur in the middle of this runtime update? If so, just reset the runtime.
-            if (this.runtimeCount !== runtimeCount) {
+            if (this.runtimeCount !== runtimeCount || signal.aborted) {
                 runtime.reset();
                 return;
             }
@@ -575,19 +1678,34 @@ export class MarkdownUp {
             if (elements !== null) {
                 const {body} = this.window.document;
                 if (runtime.documentReset === null) {
-                    renderElements(body, [this.burgerElements(), elements]);
+                    const scrollPosition = this.getScrollPosition();
+                    const menuFocus = this.getMenuFocus();
+                    const profileElements = 'profiler' in scriptOptions ? scriptOptions.profiler.elements(scriptOptions.messages) : null;
+                    renderElements(body, [this.burgerElements(), elements, profileElements]);
+                    this.setScrollPosition(scrollPosition);
+                    if (menuFocus !== null) {
+                        this.setMenuFocus(menuFocus);
+                    }
                 } else {
                     while (body.lastChild !== null && body.lastChild.id !== runtime.documentReset) {
                         body.lastChild.remove();
                     }
                     renderElements(body, [elements], false);
                 }
+                this.findHighlight();
+            }
+
+            // Did the script add or replace a document menu item? If so, re-render the menu, if necessary.
+            if (runtime.documentMenuUpdate && (elements === null || runtime.documentReset !== null)) {
+                this.menuRender();
             }
 
-            // Navigate?
+            // Navigate or re-render?
             // Note: This is done after render since it may have no effect (in which case we want to render).
             if (runtime.windowLocation !== null) {
-                this.window.location.href = runtime.windowLocation;
+                this.navigate(runtime.windowLocation);
+            } else if (runtime.windowRender) {
+                this.render(true);
             }
 
             // Focus?
@@ -603,9 +1721,8 @@ export class MarkdownUp {
     }
 
 
-    modifyURL(url) {
-        const resourceURL = this.getResourceURL();
-
+    // Modify a Markdown link URL - relative URLs are relative to the resource URL (default is the current resource URL)
+    modifyURL(url, resourceURL = this.getResourceURL()) {
         // Hash URL?
         if (url.startsWith('#')) {
             // Fixup the "url" param if its relative
@@ -614,15 +1731,18 @@ export class MarkdownUp {
                 hashParams.url = `${getBaseURL(resourceURL)}${hashParams.url}`;
             }
 
+            // Path routing header ID URL? If so, leave it as-is.
+            if (this.routing === 'path' && Object.keys(hashParams).length === 0) {
+                return url;
+            }
+
             // Encode hash parameters with a header ID
-            const paramString = encodeQueryString({...this.params, ...hashParams});
-            const headerId = getHeaderId(url);
-            return `#${paramString}${headerId !== null && paramString !== '' ? '&' : ''}${headerId !== null ? headerId : ''}`;
+            return this.getParamsURL({...this.params, ...hashParams}, getHeaderId(url));
         }
 
         // Relative URL?
         if (isRelativeURL(url)) {
-            return `${getBaseURL(resourceURL)}${url}`;
+            return this.resolveURL(`${getBaseURL(resourceURL)}${url}`);
         }
 
         return url;
@@ -630,14 +1750,21 @@ export class MarkdownUp {
 
 
     burgerElements() {
-        const paramString = encodeQueryString(this.params);
-        const topHeaderId = `${paramString}${paramString !== '' ? '&' : ''}_top`;
+        // No menu in the print view
+        if (this.params.view === 'print') {
+            return null;
+        }
+
+        const topHeaderId = this.modifyURL('#_top').slice(1);
         return [
-            !this.menu ? null : [
+            !this.getSetting('menu') ? null : [
                 {
                     'html': 'div',
                     'attr': {'class': 'menu-burger'},
-                    'elem': this.menuValueToggle('menu', {
+                    'elem': this.menuButton(() => this.menuToggle(), {
+                        'checked': 'menu' in this.paramsSession,
+                        'expanded': 'menu' in this.paramsSession,
+                        'label': this.getMessage('menuBurger'),
                         'size': 32,
                         'noCheck': true,
                         'path': 'M3,5 L21,5 M3,12 L21,12 M3,19 L21,19'
@@ -647,31 +1774,23 @@ export class MarkdownUp {
                 // Popup menu
                 !('menu' in this.paramsSession) ? null : {
                     'html': 'div',
-                    'attr': {'class': 'menu'},
-                    'elem': [
-                        this.menuViewToggle('markdown', {
-                            'path': 'M4,2 L20,2 L20,22 L4,22 Z',
-                            'path2': 'M7,7.5 L17,7.5 M7,12 L17,12 M7,16.5 L17,16.5'
-                        }),
-                        this.menuDarkModeToggle({
-                            'path': 'M16,3 A10,10,0,1,1,3,18 A14,14,0,0,0,17,3'
-                        }),
-                        this.menuValueCycle('fontSize', 12, [8, 10, 12, 14, 18, 24], (value) => `${value}pt`, {
-                            'path': 'M4,22 L10,2 L14,2 L20,22 M6,12.5 L18,12.5',
-                            'strokeWidth': 4
-                        }),
-                        this.menuValueCycle('lineHeight', 1.3, [1.2, 1.3, 1.5, 1.7, 2.0], null, {
-                            'path2': 'M2,3 L22,3 M2,9 L22,9 M2,15 L22,15 M2,21 L22,21'
-                        }),
-                        this.menuValueToggle('debug', {
-                            'path': 'M12,5 A4,7,0,1,0,12,19 A4,7,0,1,0,12,5 M9,9 L15,9 M9,9 L4,6 M9,12 L3,12 M9,15 L4,18 ' +
-                                'M15,9 L20,6 M15,12 L21,12 M15,15 L20,18'
-                        }),
-                        this.menuLink(this.helpURL, {
-                            'path': 'M7,9 L7,4 L17,4 L17,12 L12,12 L12,16 M12,19 L12,22'
-                        })
-                    ]
-                }
+                    'attr': {'class': 'menu', 'role': 'group', 'aria-label': this.getMessage('menuBurger')},
+                    'elem': this.menuElements(),
+                    'callback': (element) => {
+                        element.addEventListener('keydown', (event) => {
+                            if (event.key === 'Escape' && !event.defaultPrevented) {
+                                event.preventDefault();
+                                this.menuClose();
+                            }
+                        });
+                    }
+                },
+
+                // Table of contents sidebar
+                this.tocSidebarElements(),
+
+                // Find bar
+                !('find' in this.params) ? null : this.findElements()
             ],
 
             // The top header ID
@@ -680,93 +1799,670 @@ export class MarkdownUp {
     }
 
 
-    menuLink(url, icon) {
-        return this.menuButton(
-            () => {
-                this.window.location.href = url;
-            },
-            icon
-        );
-    }
-
-
-    menuValueToggle(valueName, icon) {
-        icon.checked = valueName in this.paramsSession;
-        return this.menuButton(
-            () => {
-                if (valueName in this.paramsSession) {
-                    delete this.paramsSession[valueName];
-                } else {
-                    this.paramsSession[valueName] = 1;
+    // Render the popup menu element model - the built-in menu items (less the hidden built-in menu
+    // items), the application menu items, the document menu items, and the help menu item
+    menuElements() {
+        const menuItems = this.menuItems ?? [];
+        const menuItemsHidden = new Set(menuItems.filter((menuItem) => menuItem.hidden ?? false).map((menuItem) => menuItem.name));
+        const builtinMenuItem = (name, menuItemFn) => (menuItemsHidden.has(name) ? null : menuItemFn());
+        return [
+            builtinMenuItem('markdown', () => this.menuViewToggle('markdown', {
+                'label': this.getMessage('menuMarkdown'),
+                'path': 'M4,2 L20,2 L20,22 L4,22 Z',
+                'path2': 'M7,7.5 L17,7.5 M7,12 L17,12 M7,16.5 L17,16.5'
+            })),
+            builtinMenuItem('toc', () => this.menuValueToggle('toc', {
+                'label': this.getMessage('menuToc'),
+                'path': 'M2,4 L5,4 M2,12 L5,12 M2,20 L5,20',
+                'path2': 'M8,4 L22,4 M11,12 L22,12 M11,20 L22,20'
+            })),
+            builtinMenuItem('find', () => this.menuFindToggle({
+                'label': this.getMessage('menuFind'),
+                'path': 'M10,3 A7,7,0,1,0,10,17 A7,7,0,1,0,10,3 M15,15 L21,21'
+            })),
+            builtinMenuItem('export', () => this.menuButton(() => this.exportHTMLDownload(), {
+                'label': this.getMessage('menuExport'),
+                'path': 'M12,2 L12,15 M6,9 L12,15 L18,9',
+                'path2': 'M3,21 L21,21'
+            })),
+            builtinMenuItem('darkMode', () => this.menuDarkModeToggle({
+                'label': this.getMessage('menuDarkMode'),
+                'path': 'M16,3 A10,10,0,1,1,3,18 A14,14,0,0,0,17,3'
+            })),
+            this.themes === null ? null : builtinMenuItem('theme', () => this.menuThemeCycle({
+                'path': 'M12,2 A10,10,0,1,0,12,22 A3,3,0,0,0,14,17 A3,3,0,0,1,16,12 L21,12 A9,10,0,0,0,12,2',
+                'path2': 'M7,10 L7,10.5 M11,6 L11,6.5 M16,7 L16,7.5'
+            })),
+            builtinMenuItem('fontSize', () => this.menuValueCycle('fontSize', fontSizeValues, (value) => `${value}pt`, {
+                'label': this.getMessage('menuFontSize', {'value': `${this.getSetting('fontSize')}pt`}),
+                'path': 'M4,22 L10,2 L14,2 L20,22 M6,12.5 L18,12.5',
+                'strokeWidth': 4
+            })),
+            builtinMenuItem('lineHeight', () => this.menuValueCycle('lineHeight', lineHeightValues, null, {
+                'label': this.getMessage('menuLineHeight', {'value': this.getSetting('lineHeight')}),
+                'path2': 'M2,3 L22,3 M2,9 L22,9 M2,15 L22,15 M2,21 L22,21'
+            })),
+            builtinMenuItem('fontFamily', () => this.menuButton(
+                () => this.cycleLocalValue('fontFamily', Object.keys(this.getFontFamilies())),
+                {
+                    'label': this.getMessage('menuFontFamily', {'name': this.getFontFamily()}),
+                    'path': 'M4,6 L4,3 L20,3 L20,6 M12,3 L12,21 M8,21 L16,21'
                 }
-                this.window.sessionStorage.setItem('MarkdownUp', JSON.stringify(this.paramsSession));
-                this.render(true);
-            },
-            icon
-        );
-    }
-
-
-    menuViewToggle(viewValue, icon) {
-        icon.checked = this.params.view === viewValue;
-        return this.menuButton(
-            () => {
-                const params = {...this.params};
-                if (params.view === viewValue) {
-                    delete params.view;
-                } else {
-                    params.view = viewValue;
+            )),
+            builtinMenuItem('contentWidth', () => this.menuButton(
+                () => this.cycleLocalValue('contentWidth', Object.keys(contentWidthValues)),
+                {
+                    'label': this.getMessage('menuContentWidth', {'name': this.getSetting('contentWidth')}),
+                    'path': 'M2,12 L22,12 M6,8 L2,12 L6,16 M18,8 L22,12 L18,16'
                 }
-                this.window.location.href = `#${encodeQueryString(params)}`;
-            },
-            icon
-        );
+            )),
+            builtinMenuItem('debug', () => this.menuValueToggle('debug', {
+                'label': this.getMessage('menuDebug'),
+                'path': 'M12,5 A4,7,0,1,0,12,19 A4,7,0,1,0,12,5 M9,9 L15,9 M9,9 L4,6 M9,12 L3,12 M9,15 L4,18 ' +
+                    'M15,9 L20,6 M15,12 L21,12 M15,15 L20,18'
+            })),
+            menuItems.filter((menuItem) => !(menuItem.hidden ?? false)).map((menuItem) => this.menuItem(menuItem)),
+            this.runtimeMenuItems.map((menuItem) => this.menuItem(menuItem)),
+            builtinMenuItem('help', () => this.menuLink(this.helpURL, {
+                'label': this.getMessage('menuHelp'),
+                'path': 'M7,9 L7,4 L17,4 L17,12 L12,12 L12,16 M12,19 L12,22'
+            }))
+        ];
     }
 
 
-    menuDarkModeToggle(icon) {
-        const isDarkMode = this.paramsLocal.darkMode ?? this.darkMode;
-        icon.checked = isDarkMode;
+    // Render an application or document menu item
+    menuItem({label = null, url = null, callback = null, checked = null, path = null, path2 = null, text = null}) {
+        const icon = {
+            'checked': typeof checked === 'function' ? checked() : checked,
+            'label': label,
+            'path': path === null && path2 === null && text === null ? menuItemPathDefault : path,
+            'path2': path2,
+            'text': text
+        };
+        if (url !== null) {
+            return this.menuLink(url, icon);
+        }
         return this.menuButton(
             () => {
-                if (isDarkMode !== this.darkMode) {
-                    delete this.paramsLocal.darkMode;
-                } else {
-                    this.paramsLocal.darkMode = !isDarkMode;
+                if (callback !== null) {
+                    callback();
                 }
-                this.window.localStorage.setItem('MarkdownUp', JSON.stringify(this.paramsLocal));
-                this.render(true);
             },
             icon
         );
     }
 
 
-    menuValueCycle(valueName, valueDefault, values, textFn, icon) {
-        const valueCurrent = this.paramsLocal[valueName] ?? valueDefault;
-        let ixNew = values.indexOf(valueCurrent) + 1;
-        if (ixNew >= values.length) {
-            ixNew = 0;
+    // Render the table of contents sidebar element model - in book mode, the sidebar is always shown and
+    // contains the book's chapter list
+    tocSidebarElements() {
+        if (this.params.view === 'toc') {
+            return null;
+        } else if (this.bookPages !== null) {
+            return {'html': 'div', 'attr': {'class': 'menu-toc'}, 'elem': this.bookElements()};
+        } else if (!('toc' in this.paramsSession) || this.tocHeaders === null) {
+            return null;
         }
-        const valueNew = values[ixNew];
-        icon.text = (textFn !== null ? textFn(valueCurrent) : valueCurrent);
-        return this.menuButton(
-            () => {
-                this.paramsLocal[valueName] = valueNew;
-                this.window.localStorage.setItem('MarkdownUp', JSON.stringify(this.paramsLocal));
-                this.render(true);
-            },
-            icon
-        );
+        return {'html': 'div', 'attr': {'class': 'menu-toc'}, 'elem': this.tocElements()};
     }
 
 
-    menuButton(onClick, {checked = false, noCheck = false, path = null, path2 = null, strokeWidth = 3, size = 48, text = null}) {
-        const isDarkMode = this.paramsLocal.darkMode ?? this.darkMode;
-        const stroke = (isDarkMode ? (checked && !noCheck ? 'black' : 'white') : (checked && !noCheck ? 'white' : 'black'));
-        const background = (stroke === 'black' ? 'white' : 'black');
-        const borderSize = (0.125 * size).toFixed(3);
-        const innerSize = (0.75 * size).toFixed(3);
+    // Render the table of contents header tree element model. The header links always target the
+    // document view.
+    tocElements() {
+        const params = {...this.params};
+        delete params.view;
+        const tocList = {'html': 'ul', 'elem': []};
+        const tocStack = [{'level': 0, 'item': null, 'list': tocList}];
+        for (const {level, text, id} of this.tocHeaders) {
+            // Find the header's parent item, creating its sub-list as necessary
+            while (tocStack[tocStack.length - 1].level >= level) {
+                tocStack.pop();
+            }
+            const tocParent = tocStack[tocStack.length - 1];
+            if (tocParent.list === null) {
+                tocParent.list = {'html': 'ul', 'elem': []};
+                tocParent.item.elem.push(tocParent.list);
+            }
+
+            // Add the header's item
+            const tocItem = {
+                'html': 'li',
+                'elem': [
+                    {
+                        'html': 'a',
+                        'attr': {'href': this.getParamsURL(params, id), 'data-header-id': this.modifyURL(`#${id}`).slice(1)},
+                        'elem': {'text': text}
+                    }
+                ]
+            };
+            tocParent.list.elem.push(tocItem);
+            tocStack.push({level, 'item': tocItem, 'list': null});
+        }
+        return tocList;
+    }
+
+
+    // Highlight the table of contents sidebar link of the section scrolled to - the links' "data-header-id"
+    // attribute is the rendered header element's ID
+    tocUpdateCurrent() {
+        const {document} = this.window;
+        const tocLinks = document.querySelectorAll('.menu-toc a[data-header-id]');
+        let tocLinkCurrent = null;
+        for (const tocLink of tocLinks) {
+            const header = document.getElementById(tocLink.dataset.headerId);
+            if (header !== null && header.getBoundingClientRect().top <= tocCurrentOffset) {
+                tocLinkCurrent = tocLink;
+            }
+        }
+        for (const tocLink of tocLinks) {
+            tocLink.classList.toggle('menu-toc-current', tocLink === tocLinkCurrent);
+        }
+    }
+
+
+    // Load the book's pages from the "pages" option or the book manifest, if any
+    async loadBook(scriptOptions, parseMarkdown) {
+        this.bookPages = this.pages;
+        if (this.bookPages === null && this.book !== null) {
+            // Book manifest already loaded?
+            if (this.bookManifest !== null && this.bookManifest.url === this.book) {
+                this.bookPages = this.bookManifest.pages;
+                return;
+            }
+
+            try {
+                const {cacheEntry} = await this.fetchDocument(this.book);
+                if (cacheEntry !== null) {
+                    this.bookPages = parseBookManifest(parseMarkdown(cacheEntry.text), this.book);
+                    this.bookManifest = {'url': this.book, 'pages': this.bookPages};
+                }
+            } catch {
+                // Do nothing - the book manifest fetch error is logged below
+            }
+            if (this.bookPages === null && scriptOptions.debug) {
+                scriptOptions.logFn(`MarkdownUp: ${this.getMessage('logBookError', {'url': this.book})}`);
+            }
+        }
+    }
+
+
+    // Get the current resource's book page index, or -1 if the current resource is not a book page
+    getBookPageIndex() {
+        const resourceURL = new URL(this.resolveURL(this.getResourceURL()), this.window.location.href).href;
+        return this.bookPages.findIndex((page) => new URL(this.resolveURL(page.url), this.window.location.href).href === resourceURL);
+    }
+
+
+    // Get a book page's link URL - book page URLs are relative to the application
+    getBookPageLink(page) {
+        return this.modifyURL(`#${encodeQueryString({'url': page.url})}`, '');
+    }
+
+
+    // Navigate to the previous (-1) or next (1) book page, if any
+    bookStep(step) {
+        if (this.bookPages === null) {
+            return;
+        }
+        const ixPage = this.getBookPageIndex();
+        const page = ixPage !== -1 ? (this.bookPages[ixPage + step] ?? null) : null;
+        if (page !== null) {
+            this.navigate(this.getBookPageLink(page));
+        }
+    }
+
+
+    // Render the book's chapter list element model - the current page's item contains its table of contents,
+    // if the table of contents is shown
+    bookElements() {
+        const ixCurrent = this.getBookPageIndex();
+        const isToc = 'toc' in this.paramsSession && this.tocHeaders !== null;
+        return {
+            'html': 'nav',
+            'attr': {'aria-label': this.getMessage('bookChapters')},
+            'elem': {
+                'html': 'ul',
+                'attr': {'class': 'menu-book'},
+                'elem': this.bookPages.map((page, ixPage) => ({
+                    'html': 'li',
+                    'elem': [
+                        {
+                            'html': 'a',
+                            'attr': ixPage !== ixCurrent
+                                ? {'href': this.getBookPageLink(page)}
+                                : {'href': this.getBookPageLink(page), 'class': 'menu-book-current', 'aria-current': 'page'},
+                            'elem': {'text': page.title}
+                        },
+                        ixPage === ixCurrent && isToc ? this.tocElements() : null
+                    ]
+                }))
+            }
+        };
+    }
+
+
+    // Render the book page's previous and next page links element model, or null if the current resource is
+    // not a book page
+    bookNavElements() {
+        const ixPage = this.bookPages !== null ? this.getBookPageIndex() : -1;
+        if (ixPage === -1) {
+            return null;
+        }
+        const pagePrev = ixPage > 0 ? this.bookPages[ixPage - 1] : null;
+        const pageNext = this.bookPages[ixPage + 1] ?? null;
+        return {
+            'html': 'nav',
+            'attr': {'class': 'markdown-up-book-nav'},
+            'elem': [
+                pagePrev === null ? null : {
+                    'html': 'a',
+                    'attr': {'class': 'markdown-up-book-prev', 'href': this.getBookPageLink(pagePrev), 'rel': 'prev'},
+                    'elem': {'text': this.getMessage('bookPrevious', {'title': pagePrev.title})}
+                },
+                pageNext === null ? null : {
+                    'html': 'a',
+                    'attr': {'class': 'markdown-up-book-next', 'href': this.getBookPageLink(pageNext), 'rel': 'next'},
+                    'elem': {'text': this.getMessage('bookNext', {'title': pageNext.title})}
+                }
+            ]
+        };
+    }
+
+
+    // Render the find bar element model
+    findElements() {
+        return {
+            'html': 'div',
+            'attr': {'class': 'menu-find'},
+            'elem': [
+                {
+                    'html': 'input',
+                    'attr': {
+                        'id': 'menu-find-input',
+                        'type': 'search',
+                        'placeholder': this.getMessage('findPlaceholder'),
+                        'value': this.params.find
+                    },
+                    'callback': (element) => {
+                        element.addEventListener('input', () => this.findSetText(element.value));
+                        element.addEventListener('keydown', (event) => {
+                            if (event.key === 'Enter') {
+                                event.preventDefault();
+                                this.findStep(event.shiftKey ? -1 : 1);
+                            } else if (event.key === 'Escape') {
+                                event.preventDefault();
+                                const params = {...this.params};
+                                delete params.find;
+                                this.navigate(this.getParamsURL(params));
+                            }
+                        });
+                    }
+                },
+                {'html': 'span', 'attr': {'id': 'menu-find-count'}}
+            ]
+        };
+    }
+
+
+    // Set the find text, without re-rendering, and highlight its matches
+    findSetText(findText) {
+        this.params = {...this.params, 'find': findText};
+        this.window.history.replaceState(this.window.history.state, '', this.getParamsURL(this.params));
+        this.findIndex = 0;
+        this.findHighlight();
+        if (this.findMatches.length !== 0) {
+            this.findStep(0);
+        }
+    }
+
+
+    // Highlight the find text matches within the rendered document
+    findHighlight() {
+        const {document} = this.window;
+
+        // Remove the existing find text match highlights
+        for (const match of document.querySelectorAll('mark.menu-find-match')) {
+            const matchParent = match.parentNode;
+            match.replaceWith(...match.childNodes);
+            matchParent.normalize();
+        }
+        this.findMatches = [];
+
+        // Find the document text nodes that contain the find text (excluding the application's elements)
+        const findText = (this.params !== null ? (this.params.find ?? '') : '').toLowerCase();
+        if (findText !== '') {
+            const textNodes = [];
+            const walker = document.createTreeWalker(document.body, this.window.NodeFilter.SHOW_TEXT, {
+                'acceptNode': (node) => {
+                    const {parentElement} = node;
+                    if (parentElement === null || parentElement.namespaceURI !== 'http://www.w3.org/1999/xhtml' ||
+                        parentElement.closest(findExcludeSelector) !== null ||
+                        !node.nodeValue.toLowerCase().includes(findText)) {
+                        return this.window.NodeFilter.FILTER_REJECT;
+                    }
+                    return this.window.NodeFilter.FILTER_ACCEPT;
+                }
+            });
+            while (walker.nextNode() !== null) {
+                textNodes.push(walker.currentNode);
+            }
+
+            // Wrap each find text match in a highlight element
+            for (const textNode of textNodes) {
+                const text = textNode.nodeValue;
+                const textLower = text.toLowerCase();
+                const fragment = document.createDocumentFragment();
+                let ixText = 0;
+                let ixMatch = textLower.indexOf(findText);
+                while (ixMatch !== -1) {
+                    if (ixMatch > ixText) {
+                        fragment.appendChild(document.createTextNode(text.slice(ixText, ixMatch)));
+                    }
+                    const match = document.createElement('mark');
+                    match.className = 'menu-find-match';
+                    match.textContent = text.slice(ixMatch, ixMatch + findText.length);
+                    fragment.appendChild(match);
+                    this.findMatches.push(match);
+                    ixText = ixMatch + findText.length;
+                    ixMatch = textLower.indexOf(findText, ixText);
+                }
+                if (ixText < text.length) {
+                    fragment.appendChild(document.createTextNode(text.slice(ixText)));
+                }
+                textNode.replaceWith(fragment);
+            }
+        }
+
+        // Highlight the current match
+        if (this.findIndex >= this.findMatches.length) {
+            this.findIndex = 0;
+        }
+        this.findUpdateCurrent();
+    }
+
+
+    // Step to the next (or previous) find text match and scroll it into view
+    findStep(delta) {
+        const matchCount = this.findMatches.length;
+        if (matchCount === 0) {
+            return;
+        }
+        this.findIndex = (this.findIndex + delta + matchCount) % matchCount;
+        this.findUpdateCurrent();
+        this.findMatches[this.findIndex].scrollIntoView({'block': 'center'});
+    }
+
+
+    // Update the current find text match highlight and the find bar's match count
+    findUpdateCurrent() {
+        for (const [ixMatch, match] of this.findMatches.entries()) {
+            match.classList.toggle('menu-find-current', ixMatch === this.findIndex);
+        }
+        const findCount = this.window.document.getElementById('menu-find-count');
+        if (findCount !== null) {
+            const matchCount = this.findMatches.length;
+            if (matchCount !== 0) {
+                findCount.textContent = this.getMessage('findCount', {'index': this.findIndex + 1, 'count': matchCount});
+            } else {
+                findCount.textContent = (this.params.find ?? '') === '' ? '' : this.getMessage('findNoMatches');
+            }
+        }
+    }
+
+
+    // Serialize the rendered document, with the application's styles, as a self-contained HTML document
+    exportHTML() {
+        const {document} = this.window;
+
+        // Copy the rendered document, excluding the application's elements and find text highlights
+        const body = document.body.cloneNode(true);
+        for (const element of body.querySelectorAll(appElementsSelector)) {
+            element.remove();
+        }
+        for (const match of body.querySelectorAll('mark.menu-find-match')) {
+            match.replaceWith(...match.childNodes);
+        }
+        body.normalize();
+
+        // Get the document's style rules
+        const styleRules = [];
+        for (const styleSheet of document.styleSheets) {
+            getStyleSheetRules(styleSheet, styleRules);
+        }
+
+        // Get the document element's language, text direction, and style
+        const {documentElement} = document;
+        const lang = escapeHTML(documentElement.lang || 'en');
+        const dir = escapeHTML(documentElement.dir || 'ltr');
+        const style = escapeHTML(documentElement.style.cssText);
+
+        return `\
+<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}" style="${style}">
+    <head>
+        <title>${escapeHTML(document.title)}</title>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>
+${styleRules.join('\n')}
+        </style>
+    </head>
+    <body>
+${body.innerHTML}
+    </body>
+</html>
+`;
+    }
+
+
+    // Download the rendered document as a self-contained HTML file
+    exportHTMLDownload() {
+        const url = this.getResourceURL();
+        const urlName = url.slice(url.lastIndexOf('/') + 1).replace(rFileExtension, '');
+        const link = this.window.document.createElement('a');
+        link.href = this.window.URL.createObjectURL(new this.window.Blob([this.exportHTML()], {'type': 'text/html'}));
+        link.download = `${urlName !== '' ? urlName : 'document'}.html`;
+
+        // Some browsers only download from a link in the document, and the download may start after the click
+        // returns, so the link is removed and its object URL revoked later
+        this.window.document.body.appendChild(link);
+        link.click();
+        this.window.setTimeout(() => {
+            this.window.URL.revokeObjectURL(link.href);
+            link.remove();
+        }, 0);
+    }
+
+
+    menuLink(url, icon) {
+        return this.menuButton(
+            () => {
+                this.navigate(url);
+            },
+            icon
+        );
+    }
+
+
+    // Open or close the popup menu - focus moves to the first menu button when the menu opens and returns
+    // to the burger button when the menu closes
+    menuToggle() {
+        this.menuFocus = 'menu' in this.paramsSession ? '.menu-burger > div' : '.menu > div';
+        this.toggleSessionValue('menu');
+    }
+
+
+    // Close the popup menu - returns true if the menu was open
+    menuClose() {
+        if (!('menu' in this.paramsSession)) {
+            return false;
+        }
+        this.menuToggle();
+        return true;
+    }
+
+
+    // Get the selector of the focused menu button, if any
+    getMenuFocus() {
+        const {activeElement} = this.window.document;
+        const parent = activeElement?.parentElement ?? null;
+        if (parent === null) {
+            return null;
+        } else if (parent.classList.contains('menu-burger')) {
+            return '.menu-burger > div';
+        } else if (parent.classList.contains('menu')) {
+            return `.menu > div:nth-child(${Array.prototype.indexOf.call(parent.children, activeElement) + 1})`;
+        }
+        return null;
+    }
+
+
+    // Re-render the open popup menu's buttons, keeping the menu button focus
+    menuRender() {
+        const menu = this.window.document.querySelector('.menu');
+        if (menu !== null) {
+            const menuFocus = this.getMenuFocus();
+            renderElements(menu, this.menuElements());
+            if (menuFocus !== null) {
+                this.setMenuFocus(menuFocus);
+            }
+        }
+    }
+
+
+    // Focus a menu button by selector
+    setMenuFocus(selector) {
+        const element = this.window.document.querySelector(selector);
+        if (element !== null) {
+            element.focus();
+        }
+    }
+
+
+    menuValueToggle(valueName, icon) {
+        icon.checked = valueName in this.paramsSession;
+        return this.menuButton(() => this.toggleSessionValue(valueName), icon);
+    }
+
+
+    // Toggle a session storage value and re-render
+    toggleSessionValue(valueName) {
+        if (valueName in this.paramsSession) {
+            delete this.paramsSession[valueName];
+        } else {
+            this.paramsSession[valueName] = 1;
+        }
+        this.window.sessionStorage.setItem('MarkdownUp', JSON.stringify(this.paramsSession));
+        this.render(true);
+    }
+
+
+    menuViewToggle(viewValue, icon) {
+        icon.checked = this.params.view === viewValue;
+        return this.menuButton(() => this.toggleView(viewValue), icon);
+    }
+
+
+    // Toggle a view
+    toggleView(viewValue) {
+        const params = {...this.params};
+        if (params.view === viewValue) {
+            delete params.view;
+        } else {
+            params.view = viewValue;
+        }
+        this.navigate(this.getParamsURL(params));
+    }
+
+
+    menuFindToggle(icon) {
+        icon.checked = 'find' in this.params;
+        return this.menuButton(
+            () => {
+                const params = {...this.params};
+                if ('find' in params) {
+                    delete params.find;
+                } else {
+                    params.find = '';
+                }
+                this.navigate(this.getParamsURL(params));
+            },
+            icon
+        );
+    }
+
+
+    menuDarkModeToggle(icon) {
+        icon.checked = this.getSetting('darkMode');
+        return this.menuButton(() => this.toggleDarkMode(), icon);
+    }
+
+
+    // Toggle dark mode and re-render
+    toggleDarkMode() {
+        const isDarkMode = this.getSetting('darkMode');
+        if (isDarkMode !== (this.frontMatter.darkMode ?? this.darkMode)) {
+            delete this.paramsLocal.darkMode;
+        } else {
+            this.paramsLocal.darkMode = !isDarkMode;
+        }
+        this.window.localStorage.setItem('MarkdownUp', JSON.stringify(this.paramsLocal));
+        this.render(true);
+    }
+
+
+    menuValueCycle(valueName, values, textFn, icon) {
+        const valueCurrent = this.getSetting(valueName);
+        icon.text = (textFn !== null ? textFn(valueCurrent) : valueCurrent);
+        return this.menuButton(() => this.cycleLocalValue(valueName, values), icon);
+    }
+
+
+    // Cycle a local storage setting to its next value (null deletes the setting) and re-render
+    cycleLocalValue(valueName, values) {
+        const valueCurrent = this.getSetting(valueName);
+        let ixNew = values.indexOf(valueCurrent) + 1;
+        if (ixNew >= values.length) {
+            ixNew = 0;
+        }
+        if (values[ixNew] === null) {
+            delete this.paramsLocal[valueName];
+        } else {
+            this.paramsLocal[valueName] = values[ixNew];
+        }
+        this.window.localStorage.setItem('MarkdownUp', JSON.stringify(this.paramsLocal));
+        this.render(true);
+    }
+
+
+    // Cycle the color theme local storage setting through the default theme and the named themes. If the application
+    // or front matter sets a default theme, the unthemed look is stored as the empty theme name.
+    menuThemeCycle(icon) {
+        const themeName = this.getTheme() !== null ? this.getSetting('theme') : null;
+        icon.label = themeName ?? this.getMessage('menuThemeDefault');
+        const unthemedName = (this.frontMatter.theme ?? this.theme) !== null ? '' : null;
+        return this.menuButton(() => this.cycleLocalValue('theme', [unthemedName, ...Object.keys(this.themes)]), icon);
+    }
+
+
+    menuButton(
+        onClick,
+        {
+            checked = null, expanded = null, label = null, noCheck = false, path = null, path2 = null, strokeWidth = 3, size = 48,
+            text = null
+        }
+    ) {
+        // Compute the menu button colors - the color theme's menu colors or black and white
+        const isDarkMode = this.getSetting('darkMode');
+        const theme = this.getTheme();
+        const foreground = (theme !== null ? theme['--markdown-up-menu-border'] : null) ?? (isDarkMode ? 'white' : 'black');
+        const themeBackground = (theme !== null ? theme['--markdown-up-menu-background'] : null) ?? (isDarkMode ? 'black' : 'white');
+        const stroke = (checked && !noCheck ? themeBackground : foreground);
+        const background = (checked && !noCheck ? foreground : themeBackground);
+        const borderSize = (0.125 * size).toFixed(3);
+        const innerSize = (0.75 * size).toFixed(3);
 
         // Compute the text block geometry
         const textStrokeWidth = Math.round(1000 * 0.05 * size) / 1000;
@@ -778,16 +2474,29 @@ export class MarkdownUp {
         const textBoxY = 0.5 * (textTop + textBottom);
         const textBoxSize = (textBottom - textTop) - 1.75 * textStrokeWidth;
 
+        // The menu button's label, if any, is its accessible name and tooltip. Toggle buttons (checked is
+        // non-null) have a pressed state and popup buttons (expanded is non-null) have an expanded state.
+        const attr = {'style': 'cursor: pointer; user-select: none;', 'role': 'button', 'tabindex': '0'};
+        if (label !== null) {
+            attr.title = label;
+            attr['aria-label'] = label;
+        }
+        if (expanded !== null) {
+            attr['aria-expanded'] = expanded ? 'true' : 'false';
+        } else if (checked !== null) {
+            attr['aria-pressed'] = checked ? 'true' : 'false';
+        }
+
         return {
             'html': 'div',
-            'attr': {'style': 'cursor: pointer; user-select: none;'},
+            'attr': attr,
             'elem': {
                 'svg': 'svg',
                 'attr': {'width': size, 'height': size},
                 'elem': [
                     !checked || noCheck ? null : {
                         'svg': 'rect',
-                        'attr': {'fill': (isDarkMode ? 'white' : 'black'), 'stroke': 'none', 'width': size, 'height': size}
+                        'attr': {'fill': foreground, 'stroke': 'none', 'width': size, 'height': size}
                     },
                     {
                         'svg': 'g',
@@ -836,12 +2545,359 @@ export class MarkdownUp {
             },
             'callback': (element) => {
                 element.addEventListener('click', onClick);
+                element.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        onClick(event);
+                    }
+                });
             }
         };
     }
 }
 
 
+// The font size and line height menu cycle values
+const fontSizeValues = [8, 10, 12, 14, 18, 24];
+const lineHeightValues = [1.2, 1.3, 1.5, 1.7, 2.0];
+
+
+// The built-in font family CSS font stacks
+const fontFamilyStacks = {
+    'sans': "system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+    'serif': "Georgia, Cambria, 'Times New Roman', serif",
+    'monospace': "ui-monospace, Menlo, Consolas, 'Liberation Mono', monospace"
+};
+
+
+// The maximum content width CSS values
+const contentWidthValues = {
+    'narrow': '40em',
+    'medium': '60em',
+    'full': '100%'
+};
+
+
+// The keyboard shortcuts
+const shortcuts = [
+    {'key': 'm', 'messageId': 'shortcutMenu', 'action': (app) => app.menuToggle()},
+    {'key': 'v', 'messageId': 'shortcutMarkdown', 'action': (app) => app.toggleView('markdown')},
+    {'key': 'd', 'messageId': 'shortcutDarkMode', 'action': (app) => app.toggleDarkMode()},
+    {'key': 's', 'messageId': 'shortcutFontSize', 'action': (app) => app.cycleLocalValue('fontSize', fontSizeValues)},
+    {'key': 'l', 'messageId': 'shortcutLineHeight', 'action': (app) => app.cycleLocalValue('lineHeight', lineHeightValues)},
+    {'key': 'b', 'messageId': 'shortcutDebug', 'action': (app) => app.toggleSessionValue('debug')},
+    {'key': 'r', 'messageId': 'shortcutProfile', 'action': (app) => app.toggleView('profile')},
+    {'key': 'n', 'messageId': 'shortcutBookNext', 'action': (app) => app.bookStep(1), 'book': true},
+    {'key': 'p', 'messageId': 'shortcutBookPrevious', 'action': (app) => app.bookStep(-1), 'book': true},
+    {'key': '?', 'messageId': 'shortcutHelp', 'action': (app) => app.shortcutsToggle()}
+];
+
+
+// The application and document menu item default icon path (a circle)
+const menuItemPathDefault = 'M12,5 A7,7,0,1,0,12,19 A7,7,0,1,0,12,5';
+
+
+// Get a book manifest Markdown model's page links (e.g. "- [Introduction](intro.md)"), in document order.
+// Relative page URLs are relative to the book manifest URL.
+function parseBookManifest(manifestModel, manifestURL, pages = []) {
+    for (const part of manifestModel.parts) {
+        if ('paragraph' in part) {
+            for (const {href, spans} of getMarkdownSpansLinks(part.paragraph.spans)) {
+                pages.push({'title': getMarkdownSpansText(spans), 'url': isRelativeURL(href) ? `${getBaseURL(manifestURL)}${href}` : href});
+            }
+        } else if ('list' in part) {
+            for (const item of part.list.items) {
+                parseBookManifest(item, manifestURL, pages);
+            }
+        } else if ('quote' in part) {
+            parseBookManifest(part.quote, manifestURL, pages);
+        }
+    }
+    return pages;
+}
+
+
+// Validate the typed "param" hash parameters with the type model's "Params" struct. If "isPartial" is true,
+// only the struct's members are validated - other members are ignored. Returns the validated parameter values
+// (may throw).
+function validateParamValues(paramsTypes, paramValues, isPartial = false) {
+    let values = paramValues;
+    if (isPartial) {
+        const memberNames = new Set((paramsTypes.Params.struct.members ?? []).map(({name}) => name));
+        values = Object.fromEntries(Object.entries(paramValues).filter(([name]) => memberNames.has(name)));
+    }
+    return validateType(paramsTypes, 'Params', values);
+}
+
+
+// Merge parameters - object parameter values are merged and null values are removed
+function mergeParams(params, paramsUpdate) {
+    const paramsMerged = {...params};
+    for (const [name, value] of Object.entries(paramsUpdate)) {
+        if (value === null) {
+            delete paramsMerged[name];
+        } else if (isParamsObject(value) && isParamsObject(paramsMerged[name] ?? null)) {
+            paramsMerged[name] = mergeParams(paramsMerged[name], value);
+        } else {
+            paramsMerged[name] = value;
+        }
+    }
+    return paramsMerged;
+}
+
+
+// Test if a parameter value is an object (e.g. "param")
+function isParamsObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+
+// Parse a Markdown document's front matter, if any. Front matter is a simple YAML subset block at the
+// start of the document, delimited by "---" lines. For example:
+//
+//     ---
+//     title: My Document
+//     fontSize: 14
+//     var:
+//       vName: 'Hello'
+//     includes:
+//       - <args.bare>
+//       - lib/util.bare
+//     ---
+//
+// Values are strings (quotes are optional), and the front matter schema validation converts numbers and
+// booleans. Map values (e.g. "var" expressions) are kept as-is. Returns the front matter object and the
+// Markdown text without the front matter (may throw).
+function parseFrontMatter(markdownText) {
+    const lines = markdownText.split(rLineSplit);
+    if (lines[0].trimEnd() !== '---') {
+        return [{}, markdownText];
+    }
+    const ixEnd = lines.findIndex((line, ixLine) => ixLine !== 0 && (line.trimEnd() === '---' || line.trimEnd() === '...'));
+    if (ixEnd === -1) {
+        return [{}, markdownText];
+    }
+
+    // The block is front matter only if its first non-blank line is a top-level key - otherwise, the opening
+    // "---" is a Markdown thematic break
+    const firstLine = lines.slice(1, ixEnd).find((line) => !rFrontMatterBlank.test(line)) ?? null;
+    if (firstLine === null || !rFrontMatterKey.test(firstLine)) {
+        return [{}, markdownText];
+    }
+
+    // Parse the front matter lines
+    const frontMatter = {};
+    let collectionKey = null;
+    for (const [ixLine, line] of lines.slice(1, ixEnd).entries()) {
+        // Skip blank and comment lines
+        if (rFrontMatterBlank.test(line)) {
+            continue;
+        }
+
+        // Indented list item or map entry?
+        const lineNumber = ixLine + 2;
+        if (rFrontMatterIndent.test(line)) {
+            if (collectionKey === null) {
+                throw new Error(`Unexpected indentation on line ${lineNumber}`);
+            }
+            const mListItem = line.match(rFrontMatterListItem);
+            const mMapEntry = mListItem === null ? line.match(rFrontMatterMapEntry) : null;
+            if (mListItem !== null && (frontMatter[collectionKey] === null || Array.isArray(frontMatter[collectionKey]))) {
+                frontMatter[collectionKey] ??= [];
+                frontMatter[collectionKey].push(parseFrontMatterValue(mListItem[1]));
+            } else if (mMapEntry !== null && !Array.isArray(frontMatter[collectionKey])) {
+                frontMatter[collectionKey] ??= {};
+                frontMatter[collectionKey][mMapEntry[1]] = mMapEntry[2].trim();
+            } else {
+                throw new Error(`Syntax error on line ${lineNumber}`);
+            }
+            continue;
+        }
+
+        // Top-level key
+        const mKey = line.match(rFrontMatterKey);
+        if (mKey === null) {
+            throw new Error(`Syntax error on line ${lineNumber}`);
+        }
+        const [, key, value = ''] = mKey;
+        if (value.trim() === '') {
+            collectionKey = key;
+            frontMatter[key] = null;
+        } else {
+            collectionKey = null;
+            frontMatter[key] = parseFrontMatterValue(value);
+        }
+    }
+
+    // Empty collections
+    for (const [key, value] of Object.entries(frontMatter)) {
+        if (value === null) {
+            throw new Error(`Missing value for "${key}"`);
+        }
+    }
+
+    // Replace the front matter with blank lines to preserve the Markdown text's line numbers
+    return [frontMatter, '\n'.repeat(ixEnd + 1) + lines.slice(ixEnd + 1).join('\n')];
+}
+
+
+// Parse a front matter scalar value - remove the enclosing quotes, if any
+function parseFrontMatterValue(valueStr) {
+    const value = valueStr.trim();
+    const mQuoted = value.match(rFrontMatterQuoted);
+    return mQuoted !== null ? mQuoted[2] : value;
+}
+
+
+const rLineSplit = /\r?\n/;
+const rFrontMatterBlank = /^\s*(?:#.*)?$/;
+const rFrontMatterIndent = /^\s/;
+const rFrontMatterKey = /^([A-Za-z_][A-Za-z0-9_]*):(?:\s+(.*)|)$/;
+const rFrontMatterListItem = /^\s+-\s+(.*)$/;
+const rFrontMatterMapEntry = /^\s+([A-Za-z_][A-Za-z0-9_]*):\s+(.*)$/;
+const rFrontMatterQuoted = /^(["'])(.*)\1$/;
+const rSystemInclude = /^<(.+)>$/;
+
+
+// The maximum number of saved document scroll positions
+const scrollPositionsSize = 100;
+
+
+// The header elements used as scroll position anchors
+const scrollHeaderSelector = 'h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]';
+
+
+// The table of contents sidebar current section offset, in pixels from the top of the window
+const tocCurrentOffset = 16;
+
+
+// The application's (non-document) elements selector
+const appElementsSelector = '.menu, .menu-burger, .menu-toc, .menu-find, .menu-shortcuts, .markdown-up-book-nav, .markdown-up-profile';
+
+
+// The find text search excluded elements selector
+const findExcludeSelector = `${appElementsSelector}, script, style, textarea`;
+
+
+// Get a style sheet's rule text, including the rules of imported style sheets
+function getStyleSheetRules(styleSheet, styleRules) {
+    let cssRules;
+    try {
+        ({cssRules} = styleSheet);
+    } catch {
+        // Cross-origin style sheet rules are not accessible
+        return;
+    }
+    for (const cssRule of cssRules) {
+        if ('styleSheet' in cssRule && cssRule.styleSheet !== null) {
+            getStyleSheetRules(cssRule.styleSheet, styleRules);
+        } else {
+            styleRules.push(cssRule.cssText);
+        }
+    }
+}
+
+
+/**
+ * Escape text for use in HTML text and attribute values
+ *
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ *
+ * @ignore
+ */
+export function escapeHTML(text) {
+    return text.replace(rEscapeHTML, (char) => escapeHTMLChars[char]);
+}
+
+const rEscapeHTML = /[&<>"]/g;
+const escapeHTMLChars = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'};
+
+
+// Regular expression to match a URL's file extension
+const rFileExtension = /\.[^.]*$/;
+
+
+// Get a Markdown model's headers (level, text, and header ID) in document order. The header IDs are computed
+// with the Markdown library's header ID function and de-duplicated like the Markdown renderer.
+function getMarkdownHeaders(markdownModel, headerIdFn, headers = [], usedHeaderIds = new Set()) {
+    for (const part of markdownModel.parts) {
+        if ('paragraph' in part && 'style' in part.paragraph) {
+            const text = getMarkdownSpansText(part.paragraph.spans);
+
+            // Compute the header ID
+            let id = headerIdFn(text);
+            if (usedHeaderIds.has(id)) {
+                let ix = 1;
+                let idNew;
+                do {
+                    ix += 1;
+                    idNew = `${id}${ix}`;
+                } while (usedHeaderIds.has(idNew));
+                id = idNew;
+            }
+            usedHeaderIds.add(id);
+
+            headers.push({'level': parseInt(part.paragraph.style.slice(1), 10), text, id});
+        } else if ('list' in part) {
+            for (const item of part.list.items) {
+                getMarkdownHeaders(item, headerIdFn, headers, usedHeaderIds);
+            }
+        } else if ('quote' in part) {
+            getMarkdownHeaders(part.quote, headerIdFn, headers, usedHeaderIds);
+        }
+    }
+    return headers;
+}
+
+
+// Get a Markdown model's code block languages
+function getMarkdownCodeBlockLanguages(markdownModel, languages = new Set()) {
+    for (const part of markdownModel.parts) {
+        if ('codeBlock' in part && 'language' in part.codeBlock) {
+            languages.add(part.codeBlock.language);
+        } else if ('list' in part) {
+            for (const item of part.list.items) {
+                getMarkdownCodeBlockLanguages(item, languages);
+            }
+        } else if ('quote' in part) {
+            getMarkdownCodeBlockLanguages(part.quote, languages);
+        }
+    }
+    return languages;
+}
+
+const rWhitespace = /\s+/;
+
+
+// Get a Markdown span model array's text
+function getMarkdownSpansText(spans) {
+    return spans.map((span) => {
+        if ('image' in span) {
+            return span.image.alt;
+        } else if ('link' in span) {
+            return getMarkdownSpansText(span.link.spans);
+        } else if ('style' in span) {
+            return getMarkdownSpansText(span.style.spans);
+        }
+        return span.text ?? span.code ?? '';
+    }).join('');
+}
+
+
+// Get a Markdown span model array's link spans
+function getMarkdownSpansLinks(spans, links = []) {
+    for (const span of spans) {
+        if ('link' in span) {
+            links.push(span.link);
+        } else if ('style' in span) {
+            getMarkdownSpansLinks(span.style.spans, links);
+        }
+    }
+    return links;
+}
+
+
 // Get a URL's header ID
 function getHeaderId(url) {
     const matchId = url.match(rHeaderId);
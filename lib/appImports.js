@@ -18,6 +18,8 @@ import 'element-model/lib/elementModel.js';
 
 // markdown-up
 export {MarkdownUp} from './app.js';
+export {markdownUpPrerender} from './prerender.js';
+import './messages.js';
 import './script.js';
 import './scriptLibrary.js';
 
@@ -0,0 +1,161 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/messages */
+
+
+/**
+ * The default (English) MarkdownUp message catalog - the map of message ID to message text. Message
+ * text may contain "{name}" placeholders that are replaced by the
+ * [formatted message's]{@link module:lib/messages.formatMessage} parameter values. Application
+ * message catalogs need only contain the messages they translate.
+ */
+export const defaultMessages = {
+    // Error page
+    'errorMessage': 'Error: {message}',
+    'errorStatus': 'Status:',
+    'errorURL': 'URL:',
+    'errorRetry': 'Retry',
+    'errorBack': 'Back',
+    'errorFetch': 'Could not fetch "{url}"',
+    'errorFetchDetail': 'Could not fetch "{url}" - {detail}',
+    'errorFrontMatter': 'Invalid front matter - {message}',
+
+    // Book mode
+    'bookChapters': 'Chapters',
+    'bookPrevious': '\u00ab {title}',
+    'bookNext': '{title} \u00bb',
+
+    // Find bar
+    'findPlaceholder': 'Find',
+    'findCount': '{index} of {count}',
+    'findNoMatches': 'No matches',
+
+    // Script error panel
+    'scriptErrorLine': 'Line {lineNumber}',
+    'scriptErrorInclude': 'In included script "{url}"',
+    'scriptErrorIncludeLine': 'In included script "{url}", line {lineNumber}',
+    'scriptErrorCallChain': 'Call chain: {calls}',
+    'scriptErrorBudget': 'Script exceeded its budget of {maxStatements} statements',
+
+    // Script profile panel
+    'profileTitle': 'Script profile',
+    'profileEmpty': 'No function calls',
+    'profileFunction': 'Function',
+    'profileCalls': 'Calls',
+    'profileInclusive': 'Inclusive (ms)',
+    'profileExclusive': 'Exclusive (ms)',
+
+    // Menu button labels
+    'menuBurger': 'Menu',
+    'menuMarkdown': 'Markdown view',
+    'menuToc': 'Table of contents',
+    'menuFind': 'Find',
+    'menuExport': 'Export HTML',
+    'menuDarkMode': 'Dark mode',
+    'menuThemeDefault': 'Default theme',
+    'menuFontSize': 'Font size: {value}',
+    'menuLineHeight': 'Line height: {value}',
+    'menuFontFamily': 'Font: {name}',
+    'menuContentWidth': 'Width: {name}',
+    'menuDebug': 'Debug mode',
+    'menuHelp': 'Help',
+
+    // Keyboard shortcuts
+    'shortcutMenu': 'Toggle the menu',
+    'shortcutMarkdown': 'Toggle the Markdown view',
+    'shortcutDarkMode': 'Toggle dark mode',
+    'shortcutFontSize': 'Cycle the font size',
+    'shortcutLineHeight': 'Cycle the line height',
+    'shortcutDebug': 'Toggle debug mode',
+    'shortcutProfile': 'Toggle the script profile',
+    'shortcutBookNext': 'Go to the next page',
+    'shortcutBookPrevious': 'Go to the previous page',
+    'shortcutHelp': 'Show the keyboard shortcuts',
+
+    // Debug log
+    'logRenderText': '===== Rendering Markdown text',
+    'logRenderURL': '===== Rendering Markdown document "{url}"',
+    'logFetch': 'Fetching "{url}" ...',
+    'logFetchEnd': 'Fetch completed in {time} milliseconds',
+    'logFetchEndCached': 'Fetch completed in {time} milliseconds (cached)',
+    'logFetchEndNotModified': 'Fetch completed in {time} milliseconds (not modified)',
+    'logRenderEnd': 'Markdown rendered in {time} milliseconds',
+    'logRefresh': 'Document "{url}" changed, reloading ...',
+    'logBookError': 'Could not fetch book manifest "{url}"',
+    'logVariableError': 'Error evaluating variable "{name}" expression "{expr}": {message}',
+    'logScriptBegin': 'Executing script at line number {lineNumber} ...',
+    'logScriptEnd': 'Script executed in {time} milliseconds',
+    'logScriptError': 'Script error: {message}',
+    'logScriptLint': 'Script static analysis... OK',
+    'logScriptLintWarning': 'Script static analysis... 1 warning:',
+    'logScriptLintWarnings': 'Script static analysis... {count} warnings:',
+    'logCallbackError': 'Error executing {name} callback: {message}',
+    'logUnknownSound': 'Unknown windowPlaySound sound "{sound}"'
+};
+
+
+/**
+ * Format a message
+ *
+ * @param {?Object} messages - The message catalog, or null (or undefined) for the
+ *     [default message catalog]{@link module:lib/messages.defaultMessages}
+ * @param {string} messageId - The message ID
+ * @param {?Object} [params = null] - The map of placeholder name to value
+ * @returns {string}
+ */
+export function formatMessage(messages, messageId, params = null) {
+    const message = messages?.[messageId] ?? defaultMessages[messageId] ?? messageId;
+    if (params === null) {
+        return message;
+    }
+    return message.replace(rMessageParam, (match, name) => (Object.hasOwn(params, name) ? `${params[name]}` : match));
+}
+
+const rMessageParam = /\{(\w+)\}/g;
+
+
+/**
+ * The locale message catalog result
+ *
+ * @typedef {Object} LocaleMessages
+ * @property {string} locale - The matched locale (e.g. "fr-CA"), or "en" if no locale matched
+ * @property {Object} messages - The message catalog, merged with the default message catalog
+ */
+
+
+/**
+ * Get the message catalog for the first matching locale. A locale matches a catalog of the same locale
+ * (e.g. "fr-CA") or of its language (e.g. "fr").
+ *
+ * @param {string[]} locales - The preferred locales, most preferred first (e.g. "navigator.languages")
+ * @param {?Object} catalogs - The map of locale to message catalog
+ * @returns {Object} The [locale message catalog]{@link module:lib/messages~LocaleMessages}
+ */
+export function getLocaleMessages(locales, catalogs) {
+    if (catalogs !== null) {
+        for (const locale of locales) {
+            const language = locale.split('-')[0];
+            const catalogLocale = [locale, language].find((catalogKey) => Object.hasOwn(catalogs, catalogKey)) ?? null;
+            if (catalogLocale !== null) {
+                return {locale, 'messages': {...defaultMessages, ...catalogs[catalogLocale]}};
+            }
+        }
+    }
+    return {'locale': 'en', 'messages': defaultMessages};
+}
+
+
+/**
+ * Get a locale's text direction
+ *
+ * @param {string} locale - The locale (e.g. "ar-EG")
+ * @returns {string} The text direction, "rtl" or "ltr"
+ */
+export function getLocaleDirection(locale) {
+    return rtlLanguages.has(locale.split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+
+
+// The right-to-left languages
+const rtlLanguages = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
@@ -0,0 +1,148 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+/** @module lib/prerender */
+
+import {MarkdownUp, escapeHTML} from './app.js';
+
+
+/**
+ * The MarkdownUp pre-render result
+ *
+ * @typedef {Object} MarkdownUpPrerenderResult
+ * @property {?string} title - The document title
+ * @property {string} html - The rendered document HTML
+ */
+
+
+/**
+ * Pre-render a MarkdownUp document to HTML (e.g. at build time). The document is rendered with the
+ * application's Markdown and markdown-script pipeline using a DOM-less window object. Script runtime
+ * callbacks (timeouts, resize, keydown, and element events) are ignored.
+ *
+ * @async
+ * @param {function} fetchFn - The [fetch function]{@link https://developer.mozilla.org/en-US/docs/Web/API/fetch}
+ *     used to fetch the document, system includes, and script resources
+ * @param {Object} [options] - The [application options]{@link module:lib/app~MarkdownUpOptions}. The menu is always disabled,
+ *     even if the document's front matter enables it.
+ * @param {string} [paramString = ''] - The MarkdownUp hash parameters string (e.g. "url=other.md&var.vName=1")
+ * @returns {Object} The [pre-render result]{@link module:lib/prerender~MarkdownUpPrerenderResult}
+ */
+export async function markdownUpPrerender(fetchFn, options = null, paramString = '') {
+    const app = new MarkdownUpPrerender(createPrerenderWindow(fetchFn), options);
+    app.updateParams(paramString, '{}', '{}');
+    const result = await app.main();
+    return {
+        'title': result.title ?? null,
+        'html': elementModelHTML(result.elements)
+    };
+}
+
+
+// The pre-render application - the menu is disabled regardless of the options and the front matter
+class MarkdownUpPrerender extends MarkdownUp {
+    getSetting(name) {
+        return name === 'menu' ? false : super.getSetting(name);
+    }
+}
+
+
+// Create a DOM-less window object for pre-rendering
+function createPrerenderWindow(fetchFn) {
+    return {
+        'addEventListener': () => {},
+        'console': console,
+        'fetch': fetchFn,
+        'history': {
+            'back': () => {},
+            'pushState': () => {},
+            'replaceState': () => {},
+            'state': null
+        },
+        'innerHeight': 768,
+        'innerWidth': 1024,
+        'localStorage': createPrerenderStorage(),
+        'location': {'hash': '', 'href': 'file:///'},
+        'removeEventListener': () => {},
+        'sessionStorage': createPrerenderStorage()
+    };
+}
+
+
+// Create an in-memory Storage object for pre-rendering
+function createPrerenderStorage() {
+    const items = new Map();
+    return {
+        'clear': () => items.clear(),
+        'getItem': (key) => items.get(key) ?? null,
+        'removeItem': (key) => items.delete(key),
+        'setItem': (key, value) => items.set(key, `${value}`)
+    };
+}
+
+
+/**
+ * Render an [element model](https://github.com/craigahobbs/element-model#readme) to an HTML string.
+ * Element callbacks are ignored. The text of "style" and "script" elements is not escaped.
+ *
+ * @param {?(Object|Array)} elements - The element model
+ * @returns {string}
+ */
+export function elementModelHTML(elements) {
+    // Null or array?
+    if (elements === null) {
+        return '';
+    } else if (Array.isArray(elements)) {
+        return elements.map(elementModelHTML).join('');
+    }
+
+    // Text?
+    if ('text' in elements) {
+        return escapeHTML(`${elements.text}`);
+    }
+
+    // Element attributes
+    const isSVG = 'svg' in elements;
+    const tag = isSVG ? elements.svg : elements.html;
+    let attrHTML = '';
+    if ('attr' in elements && elements.attr !== null) {
+        for (const [attr, value] of Object.entries(elements.attr)) {
+            if (value !== null) {
+                attrHTML += ` ${attr}="${escapeHTML(`${value}`)}"`;
+            }
+        }
+    }
+
+    // Void HTML element or empty SVG element?
+    let elemHTML = '';
+    if ('elem' in elements) {
+        elemHTML = !isSVG && htmlRawTextElements.has(tag) ? elementModelRawText(elements.elem) : elementModelHTML(elements.elem);
+    }
+    if (!isSVG && htmlVoidElements.has(tag)) {
+        return `<${tag}${attrHTML}>`;
+    } else if (isSVG && elemHTML === '') {
+        return `<${tag}${attrHTML}/>`;
+    }
+    return `<${tag}${attrHTML}>${elemHTML}</${tag}>`;
+}
+
+
+// Render an element model's text without escaping (e.g. a "style" element's CSS)
+function elementModelRawText(elements) {
+    if (elements === null) {
+        return '';
+    } else if (Array.isArray(elements)) {
+        return elements.map(elementModelRawText).join('');
+    }
+    return 'text' in elements ? `${elements.text}` : '';
+}
+
+
+// The HTML raw text elements (elements whose text is not escaped)
+const htmlRawTextElements = new Set(['script', 'style']);
+
+
+// The HTML void elements (elements without an end tag)
+const htmlVoidElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
@@ -1,10 +1,13 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {elementModelWrapCallbacks} from './scriptLibrary.js';
+import {elementModelWrapCallbacks, renderScriptBudgetExceeded} from './scriptLibrary.js';
 import {executeScriptAsync} from 'bare-script/lib/runtimeAsync.js';
+import {formatMessage} from './messages.js';
 import {lintScript} from 'bare-script/lib/model.js';
 import {parseScript} from 'bare-script/lib/parser.js';
+import {urlFileRelative} from 'bare-script/lib/options.js';
+import {renderElements} from 'element-model/lib/elementModel.js';
 
 
 /**
@@ -13,7 +16,13 @@ import {parseScript} from 'bare-script/lib/parser.js';
  *
  * @typedef {Object} MarkdownScriptOptions
  * @property {number} fontSize - The font size, in points
+ * @property {Object} [messages] - The [message catalog]{@link module:lib/messages.defaultMessages}
+ * @property {Object} [params] - The application parameters
+ * @property {Object} [profiler] - The [script profiler]{@link module:lib/script.MarkdownScriptProfiler}
+ * @property {Object} [profilerFrame] - The script profiler's current function call frame
+ * @property {function} [paramsSetFn] - The application parameters update function (params, replace)
  * @property {Object} runtime - The [markdown-script runtime state]{@link module:lib/script.MarkdownScriptRuntime}
+ * @property {AbortSignal} [signal] - The document's abort signal. Aborted documents don't execute their code blocks.
  * @property {Object} [variables] - The map of variable name to variable value
  * @property {Object} window - The web browser window object
  * @property {function} runtimeUpdateFn - The [runtime update callback function]{@link module:lib/util~MarkdownScriptRuntimeUpdateFn}
@@ -37,77 +46,406 @@ import {parseScript} from 'bare-script/lib/parser.js';
  * @async
  * @param {object} codeBlock - The code block model
  * @param {Object} options - The [markdown-script options]{@link module:lib/script~MarkdownScriptOptions}
+ * @param {?Object} [libraryGlobals = null] - The library globals over which isolated code blocks' globals are layered
  * @returns {Object} The generated element model
  *
  * @ignore
  */
-export async function markdownScriptCodeBlock(codeBlock, options) {
+export async function markdownScriptCodeBlock(codeBlock, options, libraryGlobals = null) {
+    // Document render aborted (e.g., the user navigated)? If so, don't execute the code block.
+    if ('signal' in options && options.signal.aborted) {
+        return null;
+    }
+
+    // Isolated code block? If so, execute it with its own globals layered over the library globals.
+    const {isolate, exportNames} = parseScriptFlags(codeBlock.language ?? '');
+    const isIsolated = isolate && libraryGlobals !== null;
+    let blockOptions = isIsolated ? {...options, 'globals': {...libraryGlobals}} : options;
+
+    // Profile the code block's function calls?
+    if ('profiler' in options) {
+        blockOptions = {...blockOptions, 'globals': options.profiler.profileGlobals(blockOptions.globals)};
+    }
+
     // Add the options variables to the runtime's globals
-    if ('variables' in options) {
-        Object.assign(options.globals, options.variables);
+    if ('variables' in blockOptions) {
+        Object.assign(blockOptions.globals, blockOptions.variables);
     }
 
+    // Track the executing statement and the script function calls for the script error panel
+    const tracker = {'statement': null};
+    blockOptions = {...blockOptions, 'globals': trackScriptGlobals(blockOptions.globals, tracker)};
+
     // Log script execution begin
+    const {messages} = options;
     let timeBegin;
     if ('logFn' in options && options.debug) {
         timeBegin = performance.now();
-        options.logFn(`MarkdownUp: Executing script at line number ${codeBlock.startLineNumber + 1} ...`);
+        options.logFn(`MarkdownUp: ${formatMessage(messages, 'logScriptBegin', {'lineNumber': codeBlock.startLineNumber + 1})}`);
     }
 
     // Execute the calculation script
-    let errorMessage = null;
+    let scriptError = null;
+    let scriptErrorStatement = null;
     try {
         // Parse the script
         const script = parseScript(codeBlock.lines, codeBlock.startLineNumber + 1);
 
         // Execute the script
-        await executeScriptAsync(script, options);
+        await executeScriptAsync(parseScriptTracked(codeBlock, tracker, blockOptions), blockOptions);
+
+        // Export the isolated code block's exported globals to the shared globals
+        if (isIsolated) {
+            for (const [name, value] of Object.entries(blockOptions.globals)) {
+                if (exportNames.has(name.toLowerCase())) {
+                    options.globals[name] = typeof value === 'function' ? isolatedFunction(value, blockOptions.globals) : value;
+                }
+            }
+        }
 
         // Run the bare-script linter?
         if ('logFn' in options && options.debug) {
-            const warnings = lintScript(script, options.globals);
-            const warningPrefix = `MarkdownUp: Script static analysis...`;
+            const warnings = lintScript(script, blockOptions.globals);
             if (warnings.length === 0) {
-                options.logFn(`${warningPrefix} OK`);
+                options.logFn(`MarkdownUp: ${formatMessage(messages, 'logScriptLint')}`);
             } else {
-                options.logFn(`${warningPrefix} ${warnings.length} warning${warnings.length > 1 ? 's' : ''}:`);
+                const lintMessageId = warnings.length > 1 ? 'logScriptLintWarnings' : 'logScriptLintWarning';
+                options.logFn(`MarkdownUp: ${formatMessage(messages, lintMessageId, {'count': warnings.length})}`);
                 for (const warning of warnings) {
                     options.logFn(`MarkdownUp: ${warning}`);
                 }
             }
         }
-    } catch ({message}) {
-        errorMessage = message;
+    } catch (error) {
+        // Statement budget exceeded? If so, the budget message replaces the code block's output.
+        if (!renderScriptBudgetExceeded(blockOptions)) {
+            scriptError = error;
+            scriptErrorStatement = tracker.statement;
+        }
+
+        // Log the script error
+        if ('logFn' in options && options.debug) {
+            options.logFn(`MarkdownUp: ${formatMessage(messages, 'logScriptError', {'message': error.message})}`);
+        }
     }
 
     // Log script execution end with timing
     if ('logFn' in options && options.debug) {
         const timeEnd = performance.now();
-        options.logFn(`MarkdownUp: Script executed in ${(timeEnd - timeBegin).toFixed(1)} milliseconds`);
+        options.logFn(`MarkdownUp: ${formatMessage(messages, 'logScriptEnd', {'time': (timeEnd - timeBegin).toFixed(1)})}`);
     }
 
     // Reset the runtime
     let elements = options.runtime.resetElements();
 
-    // If an error occurred, render the error message
-    if (errorMessage !== null) {
-        elements = [elements, {'html': 'pre', 'elem': {'text': errorMessage}}];
+    // If an error occurred, render the error panel
+    if (scriptError !== null) {
+        elements = [elements, scriptErrorElements(scriptError, scriptErrorStatement, codeBlock, messages)];
     }
 
     return elements;
 }
 
 
+// Create an isolated code block's exported function - the function executes with the isolated code block's
+// globals and counts its statements against the caller's statement budget
+function isolatedFunction(fn, globals) {
+    // Async functions must remain async functions - the async runtime awaits only async functions
+    if (fn.constructor.name === 'AsyncFunction') {
+        return async (args, options) => {
+            const fnOptions = {...options, globals};
+            try {
+                return await fn(args, fnOptions);
+            } finally {
+                options.statementCount = fnOptions.statementCount;
+            }
+        };
+    }
+    return (args, options) => {
+        const fnOptions = {...options, globals};
+        try {
+            return fn(args, fnOptions);
+        } finally {
+            options.statementCount = fnOptions.statementCount;
+        }
+    };
+}
+
+
+/**
+ * Execute script includes - the included scripts' functions are tracked for the script error panel
+ *
+ * @async
+ * @param {Object[]} includes - The include statement's includes (e.g. [{"url": "util.bare"}])
+ * @param {Object} options - The [markdown-script options]{@link module:lib/script~MarkdownScriptOptions}
+ *
+ * @ignore
+ */
+export async function markdownScriptInclude(includes, options) {
+    const tracker = {'statement': null};
+    const script = {'statements': trackScriptStatements([{'include': {includes}}], tracker, options)};
+    await executeScriptAsync(script, {...options, 'globals': trackScriptGlobals(options.globals, tracker)});
+}
+
+
+// Parse a code block's script with each statement tracking its execution. Each source line is preceded by a
+// line-marker statement, which is removed from the parsed script.
+function parseScriptTracked(codeBlock, tracker, options) {
+    const lines = [];
+    let isContinued = false;
+    for (const [ixLine, line] of codeBlock.lines.entries()) {
+        if (!rScriptLineComment.test(line)) {
+            if (!isContinued) {
+                lines.push(`${scriptLineMarker}(${codeBlock.startLineNumber + 1 + ixLine})`);
+            }
+            isContinued = rScriptLineContinuation.test(line);
+        }
+        lines.push(line);
+    }
+    const script = parseScript(lines);
+    script.statements = trackScriptStatements(script.statements, tracker, options);
+    return script;
+}
+
+const scriptLineMarker = '__markdownScriptLine';
+const rScriptLineComment = /^\s*(?:#.*)?$/;
+const rScriptLineContinuation = /\\\s*$/;
+
+
+// Remove a parsed script's line-marker statements and track the execution of each remaining statement - its line
+// number and its included script URLs, if any. Label statements are searched by jump statements, so they aren't
+// tracked.
+function trackScriptStatements(statements, tracker, options, lineNumber = null) {
+    const trackedStatements = [];
+    let statementLineNumber = lineNumber;
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+        const statementValue = statement[statementKey];
+
+        // Line-marker statement?
+        const markerExpr = statementKey === 'expr' && !('name' in statementValue) ? statementValue.expr : null;
+        if (markerExpr !== null && 'function' in markerExpr && markerExpr.function.name === scriptLineMarker) {
+            statementLineNumber = markerExpr.function.args[0].number;
+            continue;
+        }
+
+        // Function definition? If so, track the function's statements.
+        if (statementKey === 'function') {
+            statementValue.statements = trackScriptStatements(statementValue.statements, tracker, options, statementLineNumber);
+        }
+
+        // The runtime gets the statement's value as it executes the statement
+        if (statementKey !== 'label') {
+            const includeURLs = statementKey === 'include'
+                ? statementValue.includes.map((include) => scriptIncludeURL(include, options)) : null;
+            const trackedStatement = {statementKey, 'lineNumber': statementLineNumber, includeURLs};
+            Object.defineProperty(statement, statementKey, {
+                'get': () => {
+                    tracker.statement = trackedStatement;
+                    return statementValue;
+                },
+                'enumerable': true
+            });
+        }
+        trackedStatements.push(statement);
+    }
+    return trackedStatements;
+}
+
+
+// Get an include statement's script URL, as the BareScript runtime resolves it
+function scriptIncludeURL({url, system = false}, options) {
+    if (system && 'systemPrefix' in options) {
+        return urlFileRelative(options.systemPrefix, url);
+    }
+    return (options.urlFn ?? null) !== null ? options.urlFn(url) : url;
+}
+
+
+// Create a globals proxy that tracks the calls of the script functions defined by function statements and included
+// scripts
+function trackScriptGlobals(globals, tracker) {
+    return new Proxy(globals, {
+        'set': (target, name, value) => {
+            const {statement} = tracker;
+            const isDefinition = typeof value === 'function' && statement !== null &&
+                (statement.statementKey === 'function' || statement.statementKey === 'include');
+            target[name] = isDefinition ? trackScriptFunction({name, 'includeURLs': statement.includeURLs}, value, tracker) : value;
+            return true;
+        }
+    });
+}
+
+
+// Create a script function's call-tracking wrapper function. A script error is annotated with the function calls
+// through which it propagates. A successful call restores the caller's tracked statement.
+function trackScriptFunction(call, fn, tracker) {
+    const addErrorCall = (error) => {
+        if (error instanceof Object) {
+            const calls = scriptErrorCalls.get(error) ?? [];
+            calls.push(call);
+            scriptErrorCalls.set(error, calls);
+        }
+    };
+
+    // Async functions must be wrapped with async functions - the async runtime awaits only async functions
+    if (fn.constructor.name === 'AsyncFunction') {
+        return async (args, options) => {
+            const {statement} = tracker;
+            try {
+                const result = await fn(args, options);
+                tracker.statement = statement;
+                return result;
+            } catch (error) {
+                addErrorCall(error);
+                throw error;
+            }
+        };
+    }
+    return (args, options) => {
+        const {statement} = tracker;
+        try {
+            const result = fn(args, options);
+            tracker.statement = statement;
+            return result;
+        } catch (error) {
+            addErrorCall(error);
+            throw error;
+        }
+    };
+}
+
+
+// The map of script error to the script function calls through which it propagated, innermost first. Each call
+// has the function's name and, for included script functions, the include statement's script URLs.
+const scriptErrorCalls = new WeakMap();
+
+
+// Parse a markdown-script code block's info string flags (e.g. "markdown-script isolate export=chartdraw,vdata").
+// The info string is lowercase, so export names are matched case-insensitively.
+function parseScriptFlags(language) {
+    let isolate = false;
+    const exportNames = new Set();
+    for (const flag of language.split(rScriptFlagSplit).slice(1)) {
+        const matchExport = flag.match(rScriptFlagExport);
+        if (flag === 'isolate') {
+            isolate = true;
+        } else if (matchExport !== null) {
+            for (const name of matchExport[1].split(',')) {
+                exportNames.add(name.toLowerCase());
+            }
+        }
+    }
+    return {isolate, exportNames};
+}
+
+const rScriptFlagSplit = /\s+/;
+const rScriptFlagExport = /^export=(.+)$/;
+
+
+// Render a script error panel element model - the error message, the error's line number, the error's included
+// script URL, the script function call chain, and the code block source lines around the error line. Parser errors have the
+// error line number. Otherwise, the error line is the line of the statement executing when the error occurred.
+function scriptErrorElements(error, trackedStatement, codeBlock, messages) {
+    const errorText = typeof error.error === 'string' ? error.error : error.message;
+    const calls = scriptErrorCalls.get(error) ?? null;
+
+    // The error's included script URL - a failed include's URL, the included script URL of the innermost called
+    // function, or the URL of the executing include statement
+    const matchIncludeFetch = error.message.match(rScriptErrorIncludeFetch);
+    let includeURLs = null;
+    if (matchIncludeFetch !== null) {
+        includeURLs = [matchIncludeFetch[1]];
+    } else if (calls !== null) {
+        [{includeURLs}] = calls;
+    } else if (trackedStatement !== null) {
+        ({includeURLs} = trackedStatement);
+    }
+
+    // Included script parser error? If so, the line number is the included script's line number.
+    let locationText = null;
+    let includeText = null;
+    let sourceElements = null;
+    const matchIncludeParser = error.message.match(rScriptErrorIncludeParser);
+    if (matchIncludeParser !== null) {
+        const lineNumber = typeof error.lineNumber === 'number' ? error.lineNumber : null;
+        const includeMessageId = lineNumber !== null ? 'scriptErrorIncludeLine' : 'scriptErrorInclude';
+        locationText = formatMessage(messages, includeMessageId, {'url': matchIncludeParser[1], lineNumber});
+
+    // Otherwise, render the code block error line, the included script URL, and the source lines around the error line
+    } else {
+        const trackedLineNumber = trackedStatement !== null ? trackedStatement.lineNumber : null;
+        const lineNumber = typeof error.lineNumber === 'number' ? error.lineNumber : trackedLineNumber;
+        if (lineNumber !== null) {
+            locationText = formatMessage(messages, 'scriptErrorLine', {lineNumber});
+            sourceElements = scriptErrorSourceElements(codeBlock, lineNumber);
+        }
+        if (includeURLs !== null) {
+            includeText = formatMessage(messages, 'scriptErrorInclude', {'url': includeURLs.join('", "')});
+        }
+    }
+
+    // Script function call chain? If so, render it outermost call first.
+    const callChainText = calls === null ? null : formatMessage(
+        messages, 'scriptErrorCallChain', {'calls': calls.map(({name}) => name).reverse().join(' > ')}
+    );
+
+    return {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': errorText}},
+            locationText === null ? null : {'html': 'p', 'elem': {'text': locationText}},
+            includeText === null ? null : {'html': 'p', 'elem': {'text': includeText}},
+            callChainText === null ? null : {'html': 'p', 'elem': {'text': callChainText}},
+            sourceElements === null ? null : {
+                'html': 'pre',
+                'attr': {'class': 'markdown-script-error-source'},
+                'elem': sourceElements
+            }
+        ]
+    };
+}
+
+const rScriptErrorIncludeFetch = /^Include of "([^"]+)" failed/;
+const rScriptErrorIncludeParser = /^Included from "([^"]+)"/;
+
+
+// Render the code block source lines around a script error line, or null if the line isn't in the code block
+function scriptErrorSourceElements(codeBlock, lineNumber) {
+    const firstLineNumber = codeBlock.startLineNumber + 1;
+    const ixLine = lineNumber - firstLineNumber;
+    if (ixLine < 0 || ixLine >= codeBlock.lines.length) {
+        return null;
+    }
+    const ixBegin = Math.max(0, ixLine - scriptErrorContextLines);
+    const ixEnd = Math.min(codeBlock.lines.length, ixLine + scriptErrorContextLines + 1);
+    const lineNumberWidth = `${firstLineNumber + ixEnd - 1}`.length;
+    return codeBlock.lines.slice(ixBegin, ixEnd).map((line, ixSlice) => {
+        const ixSource = ixBegin + ixSlice;
+        const text = `${`${firstLineNumber + ixSource}`.padStart(lineNumberWidth)}  ${line}\n`;
+        return ixSource === ixLine ? {'html': 'mark', 'elem': {'text': text}} : {'text': text};
+    });
+}
+
+
+// The number of code block source lines shown before and after a script error's line
+const scriptErrorContextLines = 2;
+
+
 /**
  * The markdown-script runtime state
  *
  * @property {Object} options - The [markdown-script options]{@link module:lib/script~MarkdownScriptOptions}
  * @property {?Object[]} elements - The runtime-generated element model
  * @property {?string} documentFocus - The runtime-set input-focus element ID
+ * @property {Object[]} documentMenuItems - The runtime-added document menu items
+ * @property {boolean} documentMenuUpdate - If true, the runtime added or replaced a document menu item
  * @property {?function} documentKeyDown - The runtime-set document keydown callback
  * @property {?string} documentReset - The runtime-set document-reset element ID
  * @property {?string} documentTitle - The runtime-set document title
  * @property {?string} windowLocation - The runtime-set document location
+ * @property {boolean} windowRender - If true, the runtime requested a document re-render
  * @property {?function} windowResize - The runtime-set resize callback
  * @property {?Array} windowTimeout - The runtime-set timeout args (callback, delay)
  *
@@ -122,9 +460,12 @@ export class MarkdownScriptRuntime {
         this.elements = null;
         this.documentFocus = null;
         this.documentKeyDown = null;
+        this.documentMenuItems = [];
+        this.documentMenuUpdate = false;
         this.documentReset = null;
         this.documentTitle = null;
         this.windowLocation = null;
+        this.windowRender = false;
         this.windowResize = null;
         this.windowTimeout = null;
         this.eventQueue = Promise.resolve();
@@ -136,9 +477,11 @@ export class MarkdownScriptRuntime {
     reset() {
         this.documentFocus = null;
         this.documentKeyDown = null;
+        this.documentMenuUpdate = false;
         this.documentReset = null;
         this.documentTitle = null;
         this.windowLocation = null;
+        this.windowRender = false;
         this.windowResize = null;
         this.windowTimeout = null;
         return this.resetElements();
@@ -173,6 +516,13 @@ export class MarkdownScriptRuntime {
     }
 
 
+    // Helper method to replace the runtime elements (e.g., with an error message)
+    replaceElements(elements) {
+        this.elements = [elements];
+        this.markdown = null;
+    }
+
+
     // Helper method to add runtime elements
     addElements(elements) {
         this.elements.push(elements);
@@ -207,3 +557,176 @@ export class MarkdownScriptRuntime {
         }
     }
 }
+
+
+/**
+ * The markdown-script profiler - records the call count and the inclusive and exclusive times of each script
+ * function and library function called by code blocks and their event callbacks. Each call's frame is passed to the
+ * functions it calls with the "profilerFrame" option, so concurrent async calls keep separate call chains.
+ * The times of async functions include the time spent awaiting.
+ *
+ * @property {Object.<string, Object>} functions - The map of function name to function profile
+ *     ("count", "inclusive", and "exclusive" times, in milliseconds)
+ * @property {string} sortKey - The profile table's sort column ("name", "count", "inclusive", or "exclusive")
+ *
+ * @ignore
+ */
+export class MarkdownScriptProfiler {
+    constructor() {
+        this.functions = {};
+        this.sortKey = 'inclusive';
+        this.wrappers = new Map();
+        this.profileFns = new WeakSet();
+    }
+
+
+    // Create a globals proxy that profiles the calls of the globals' functions
+    profileGlobals(globals) {
+        return new Proxy(globals, {
+            'get': (target, name) => {
+                const value = target[name];
+                return typeof value === 'function' && typeof name === 'string' ? this.profileFunction(name, value) : value;
+            }
+        });
+    }
+
+
+    // Get a function's profiling wrapper function
+    profileFunction(name, fn) {
+        if (this.profileFns.has(fn)) {
+            return fn;
+        }
+        const wrapper = this.wrappers.get(name) ?? null;
+        if (wrapper !== null && wrapper.fn === fn) {
+            return wrapper.profileFn;
+        }
+
+        // Async functions must be wrapped with async functions - the async runtime awaits only async functions
+        let profileFn;
+        if (fn.constructor.name === 'AsyncFunction') {
+            profileFn = async (args, options) => {
+                const fnOptions = this.callBegin(options);
+                try {
+                    return await fn(args, fnOptions);
+                } finally {
+                    this.callEnd(name, options, fnOptions);
+                }
+            };
+        } else {
+            profileFn = (args, options) => {
+                const fnOptions = this.callBegin(options);
+                try {
+                    return fn(args, fnOptions);
+                } finally {
+                    this.callEnd(name, options, fnOptions);
+                }
+            };
+        }
+        this.wrappers.set(name, {fn, profileFn});
+        this.profileFns.add(profileFn);
+        return profileFn;
+    }
+
+
+    // Begin a function call - returns the call's options with the call's frame
+    callBegin(options) {
+        const parent = (options !== null ? options.profilerFrame : null) ?? null;
+        return {...options, 'profilerFrame': {parent, 'begin': performance.now(), 'childTime': 0}};
+    }
+
+
+    // End a function call - a function's exclusive time excludes the time of the functions it calls
+    callEnd(name, options, fnOptions) {
+        const frame = fnOptions.profilerFrame;
+        const time = performance.now() - frame.begin;
+        if (options !== null) {
+            options.statementCount = fnOptions.statementCount;
+        }
+        if (frame.parent !== null) {
+            frame.parent.childTime += time;
+        }
+        if (!(name in this.functions)) {
+            this.functions[name] = {'count': 0, 'inclusive': 0, 'exclusive': 0};
+        }
+        const profile = this.functions[name];
+        profile.count += 1;
+        profile.inclusive += time;
+        profile.exclusive += time - frame.childTime;
+    }
+
+
+    // Render the profile panel element model
+    elements(messages) {
+        return {
+            'html': 'div',
+            'attr': {'class': 'markdown-up-profile'},
+            'elem': [
+                {'html': 'p', 'attr': {'class': 'markdown-up-profile-title'}, 'elem': {'text': formatMessage(messages, 'profileTitle')}},
+                {'html': 'div', 'attr': {'class': 'markdown-up-profile-table'}, 'elem': this.tableElements(messages)}
+            ]
+        };
+    }
+
+
+    // Render the profile table element model - click a column header to sort by the column
+    tableElements(messages) {
+        const names = Object.keys(this.functions);
+        if (names.length === 0) {
+            return {'html': 'p', 'elem': {'text': formatMessage(messages, 'profileEmpty')}};
+        }
+
+        // Sort the function profiles - by name ascending or by value descending
+        const {sortKey} = this;
+        names.sort();
+        if (sortKey !== 'name') {
+            names.sort((nameA, nameB) => this.functions[nameB][sortKey] - this.functions[nameA][sortKey]);
+        }
+
+        return {
+            'html': 'table',
+            'elem': [
+                {
+                    'html': 'thead',
+                    'elem': {
+                        'html': 'tr',
+                        'elem': profileColumns.map(([columnKey, columnMessageId]) => ({
+                            'html': 'th',
+                            'attr': {'aria-sort': columnKey !== sortKey ? 'none' : (columnKey === 'name' ? 'ascending' : 'descending')},
+                            'elem': {'text': formatMessage(messages, columnMessageId)},
+                            'callback': (element) => {
+                                element.addEventListener('click', () => {
+                                    this.sortKey = columnKey;
+                                    renderElements(element.closest('.markdown-up-profile-table'), this.tableElements(messages));
+                                });
+                            }
+                        }))
+                    }
+                },
+                {
+                    'html': 'tbody',
+                    'elem': names.map((name) => {
+                        const {count, inclusive, exclusive} = this.functions[name];
+                        return {
+                            'html': 'tr',
+                            'elem': [
+                                {'html': 'td', 'elem': {'text': name}},
+                                {'html': 'td', 'elem': {'text': `${count}`}},
+                                {'html': 'td', 'elem': {'text': inclusive.toFixed(1)}},
+                                {'html': 'td', 'elem': {'text': exclusive.toFixed(1)}}
+                            ]
+                        };
+                    })
+                }
+            ]
+        };
+    }
+}
+
+
+// The profile table columns - the function profile key and the column header message ID
+const profileColumns = [
+    ['name', 'profileFunction'],
+    ['count', 'profileCalls'],
+    ['inclusive', 'profileInclusive'],
+    ['exclusive', 'profileExclusive']
+];
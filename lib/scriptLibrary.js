@@ -1,7 +1,9 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
 
-import {valueArgsModel, valueArgsValidate} from 'bare-script/lib/value.js';
+import {ValueArgsError, valueArgsModel, valueArgsValidate, valueJSON} from 'bare-script/lib/value.js';
+import {formatMessage} from './messages.js';
+import {scriptWorkerFetchMessage} from './scriptWorker.js';
 import {validateElements} from 'element-model/lib/elementModel.js';
 
 
@@ -39,6 +41,56 @@ const documentInputValueArgs = valueArgsModel([
 ]);
 
 
+// $function: documentAddMenuItem
+// $group: document
+// $doc: Add a menu item to the MarkdownUp menu for the current document. Adding a menu item with an
+// $doc: existing label replaces that menu item (e.g., to update its checked state).
+// $arg label: The menu item label
+// $arg callback: The menu item click callback function
+// $arg path: Optional (default is null, a circle). The menu item icon's SVG path (24x24 view box).
+// $arg checked: Optional (default is null). If true, the menu item is shown checked. If null, the menu item is not a toggle.
+function documentAddMenuItem(args, options) {
+    const [label, callback, path, checked] = valueArgsValidate(documentAddMenuItemArgs, args);
+    const {runtime} = options;
+    const menuItem = {
+        label,
+        'callback': async () => {
+            await runtime.eventHandle(async () => {
+                options.statementCount = 0;
+                try {
+                    await callback([], options);
+                } catch ({message}) {
+                    renderScriptBudgetExceeded(options);
+                    if (options.debug) {
+                        const logMessage = formatMessage(options.messages, 'logCallbackError', {'name': 'documentAddMenuItem', message});
+                        options.logFn(`MarkdownUp: ${logMessage}`);
+                    }
+                }
+                options.runtimeUpdateFn();
+            });
+        },
+        path,
+        checked
+    };
+
+    // Replace the existing menu item, if any
+    const ixMenuItem = runtime.documentMenuItems.findIndex((menuItemOld) => menuItemOld.label === label);
+    if (ixMenuItem !== -1) {
+        runtime.documentMenuItems[ixMenuItem] = menuItem;
+    } else {
+        runtime.documentMenuItems.push(menuItem);
+    }
+    runtime.documentMenuUpdate = true;
+}
+
+const documentAddMenuItemArgs = valueArgsModel([
+    {'name': 'label', 'type': 'string'},
+    {'name': 'callback', 'type': 'function'},
+    {'name': 'path', 'type': 'string', 'nullable': true},
+    {'name': 'checked', 'type': 'boolean', 'nullable': true}
+]);
+
+
 // $function: documentSetFocus
 // $group: document
 // $doc: Set focus to an element
@@ -113,8 +165,10 @@ function documentSetKeyDown(args, options) {
             try {
                 await callback([eventObj], options);
             } catch ({message}) {
+                renderScriptBudgetExceeded(options);
                 if (options.debug) {
-                    options.logFn(`MarkdownUp: Error executing documentSetKeyDown callback: ${message}`);
+                    const logMessage = formatMessage(options.messages, 'logCallbackError', {'name': 'documentSetKeyDown', message});
+                    options.logFn(`MarkdownUp: ${logMessage}`);
                 }
             }
             options.runtimeUpdateFn();
@@ -242,8 +296,10 @@ export function elementModelWrapCallbacks(elements, options) {
                     try {
                         await elementEventCallback(eventArgs, options);
                     } catch ({message}) {
+                        renderScriptBudgetExceeded(options);
                         if ('logFn' in options && options.debug) {
-                            options.logFn(`MarkdownUp: Error executing elementModelRender callback: ${message}`);
+                            const logMessage = formatMessage(options.messages, 'logCallbackError', {'name': 'elementModelRender', message});
+                            options.logFn(`MarkdownUp: ${logMessage}`);
                         }
                     }
                     options.runtimeUpdateFn();
@@ -254,6 +310,22 @@ export function elementModelWrapCallbacks(elements, options) {
 }
 
 
+// If a script exceeded its statement budget, render the budget message in place of the script's output.
+// Returns true if the statement budget was exceeded.
+export function renderScriptBudgetExceeded(options) {
+    const maxStatements = options.maxStatements ?? 0;
+    if (maxStatements <= 0 || (options.statementCount ?? 0) <= maxStatements) {
+        return false;
+    }
+    options.runtime.replaceElements({
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': {'html': 'p', 'elem': {'text': formatMessage(options.messages, 'scriptErrorBudget', {maxStatements})}}
+    });
+    return true;
+}
+
+
 //
 // Local storage functions
 //
@@ -465,6 +537,39 @@ const windowKeyStateArgs = valueArgsModel([
 ]);
 
 
+// $function: windowParamsGet
+// $group: window
+// $doc: Get the application parameters (e.g. "url", "var", and "param"). The typed parameter values are
+// $doc: available using the "markdownUpParams" variable.
+// $return: The application parameters object
+function windowParamsGet(unusedArgs, options) {
+    return JSON.parse(JSON.stringify(options.params));
+}
+
+
+// $function: windowParamsSet
+// $group: window
+// $doc: Merge parameters into the application parameters and update the browser location without
+// $doc: re-rendering the document. Object parameters (e.g. "param") are merged and null values are removed.
+// $arg params: The parameters object (e.g. "{'param': {'start': '2024-01-01'}}")
+// $arg replace: Optional (default is false). If true, replace the current browser history entry.
+// $arg render: Optional (default is false). If true, re-render the document.
+function windowParamsSet(args, options) {
+    const [params, replace, render] = valueArgsValidate(windowParamsSetArgs, args);
+    const {runtime} = options;
+    options.paramsSetFn(params, replace);
+    if (render) {
+        runtime.windowRender = true;
+    }
+}
+
+const windowParamsSetArgs = valueArgsModel([
+    {'name': 'params', 'type': 'object'},
+    {'name': 'replace', 'type': 'boolean', 'default': false},
+    {'name': 'render', 'type': 'boolean', 'default': false}
+]);
+
+
 // $function: windowPlaySound
 // $group: window
 // $doc: Play a generated sound effect. Unknown sounds are ignored. The sound name is one of:
@@ -483,7 +588,7 @@ function windowPlaySound(args, options) {
     const tones = windowPlaySoundTones[sound] ?? null;
     if (tones === null) {
         if (options.debug) {
-            options.logFn(`MarkdownUp: Unknown windowPlaySound sound "${sound}"`);
+            options.logFn(`MarkdownUp: ${formatMessage(options.messages, 'logUnknownSound', {sound})}`);
         }
         return;
     }
@@ -718,8 +823,10 @@ function windowSetResize(args, options) {
             try {
                 await callback([], options);
             } catch ({message}) {
+                renderScriptBudgetExceeded(options);
                 if (options.debug) {
-                    options.logFn(`MarkdownUp: Error executing windowSetResize callback: ${message}`);
+                    const logMessage = formatMessage(options.messages, 'logCallbackError', {'name': 'windowSetResize', message});
+                    options.logFn(`MarkdownUp: ${logMessage}`);
                 }
             }
             options.runtimeUpdateFn();
@@ -747,8 +854,10 @@ function windowSetTimeout(args, options) {
                 try {
                     await callback([], options);
                 } catch ({message}) {
+                    renderScriptBudgetExceeded(options);
                     if (options.debug) {
-                        options.logFn(`MarkdownUp: Error executing windowSetTimeout callback: ${message}`);
+                        const logMessage = formatMessage(options.messages, 'logCallbackError', {'name': 'windowSetTimeout', message});
+                        options.logFn(`MarkdownUp: ${logMessage}`);
                     }
                 }
                 options.runtimeUpdateFn();
@@ -790,8 +899,74 @@ function windowWidth(unusedArgs, options) {
 }
 
 
+// $function: windowWorkerRun
+// $group: window
+// $doc: Execute a script in a dedicated Web Worker with its own BareScript runtime. Use this function for long-running
+// $doc: computations (e.g., large data aggregations) to keep the page responsive. The script's arguments and return
+// $doc: value are passed as JSON.
+// $arg script: The script text, as a string or array of strings. The script accesses its arguments with the "args" variable.
+// $arg args: Optional (default is null). The script arguments
+// $return: The script's return value
+async function windowWorkerRun(args, options) {
+    const [script, scriptArgs] = valueArgsValidate(windowWorkerRunArgs, args);
+    if (typeof script !== 'string' && !(Array.isArray(script) && script.every((line) => typeof line === 'string'))) {
+        throw new ValueArgsError('script', script);
+    }
+
+    // Create the worker's request message - relative URLs are relative to the document
+    const request = {
+        script,
+        'args': valueJSON(scriptArgs),
+        'baseURL': new URL(options.urlFn(''), options.window.location.href).href
+    };
+    if ('systemPrefix' in options) {
+        request.systemPrefix = options.systemPrefix;
+    }
+
+    // Execute the script in the worker - the worker is terminated if the document render is aborted. The worker's
+    // fetches are executed with the document's fetch function, so they are aborted with the document's fetches.
+    const worker = new options.window.Worker(new URL('scriptWorker.js', import.meta.url), {'type': 'module'});
+    const fetchFn = (url, fetchOptions) => options.fetchFn(url, fetchOptions);
+    let onAbort = null;
+    try {
+        const response = await new Promise((resolve, reject) => {
+            worker.onmessage = async ({data}) => {
+                if ('fetch' in data) {
+                    worker.postMessage({'fetchResponse': await scriptWorkerFetchMessage(data.fetch, fetchFn)});
+                } else {
+                    resolve(data);
+                }
+            };
+            worker.onerror = ({message}) => reject(new Error(message));
+            if ('signal' in options) {
+                options.signal.throwIfAborted();
+                onAbort = () => reject(options.signal.reason);
+                options.signal.addEventListener('abort', onAbort, {'once': true});
+            }
+            worker.postMessage(request);
+        });
+        if ('error' in response) {
+            throw new Error(response.error);
+        }
+        return JSON.parse(response.result);
+    } finally {
+        if (onAbort !== null) {
+            options.signal.removeEventListener('abort', onAbort);
+        }
+        worker.terminate();
+    }
+}
+
+// The "script" argument is a string or an array of strings - windowWorkerRun validates its type
+const windowWorkerRunArgs = valueArgsModel([
+    {'name': 'script'},
+    {'name': 'args'}
+]);
+
+
 // markdown-script library functions
 export const markdownScriptFunctions = {
+    documentAddMenuItem,
     documentFontSize,
     documentInputValue,
     documentSetFocus,
@@ -813,10 +988,13 @@ export const markdownScriptFunctions = {
     windowClipboardWrite,
     windowHeight,
     windowKeyState,
+    windowParamsGet,
+    windowParamsSet,
     windowPlaySound,
     windowSetLocation,
     windowSetResize,
     windowSetTimeout,
     windowURLObject,
-    windowWidth
+    windowWidth,
+    windowWorkerRun
 };
@@ -0,0 +1,147 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {executeScriptAsync} from 'bare-script/lib/runtimeAsync.js';
+import {parseScript} from 'bare-script/lib/parser.js';
+import {urlFileRelative} from 'bare-script/lib/options.js';
+import {valueJSON} from 'bare-script/lib/value.js';
+
+
+/**
+ * A script worker request message
+ *
+ * @typedef {Object} ScriptWorkerRequest
+ * @property {string|string[]} script - The script text
+ * @property {string} args - The script arguments JSON. The script accesses its arguments with the "args" variable.
+ * @property {string} baseURL - The absolute base URL of the script's relative URLs
+ * @property {string} [systemPrefix] - The system include prefix
+ *
+ * @ignore
+ */
+
+
+/**
+ * A script worker fetch request message - the worker's fetches are executed by the worker's owner with the
+ * document's fetch function and abort signal
+ *
+ * @typedef {Object} ScriptWorkerFetchRequest
+ * @property {number} id - The fetch ID
+ * @property {string} url - The fetch URL
+ * @property {Object} [options] - The fetch options
+ *
+ * @ignore
+ */
+
+
+/**
+ * A script worker fetch response message
+ *
+ * @typedef {Object} ScriptWorkerFetchResponse
+ * @property {number} id - The fetch ID
+ * @property {number} [status] - The response status code
+ * @property {string} [statusText] - The response status text
+ * @property {string} [text] - The response text
+ * @property {string} [error] - The fetch error message
+ *
+ * @ignore
+ */
+
+
+/**
+ * Create a script worker's fetch function, which posts a fetch request message for each fetch
+ *
+ * @param {function} postMessage - The post message function
+ * @returns {Object} The fetch function ("fetchFn") and the fetch response message handler function ("fetchResponse")
+ *
+ * @ignore
+ */
+export function scriptWorkerFetch(postMessage) {
+    const fetches = new Map();
+    let fetchId = 0;
+    return {
+        'fetchFn': (url, options) => new Promise((resolve, reject) => {
+            fetchId += 1;
+            fetches.set(fetchId, {resolve, reject});
+            postMessage({'fetch': {'id': fetchId, url, options}});
+        }),
+        'fetchResponse': ({id, status, statusText, text, error}) => {
+            const {resolve, reject} = fetches.get(id);
+            fetches.delete(id);
+            if (typeof error === 'string') {
+                reject(new Error(error));
+                return;
+            }
+
+            // Opaque response status (0) or other invalid response? If so, the fetch fails.
+            try {
+                resolve(new Response(text !== '' ? text : null, {status, statusText}));
+            } catch ({message}) {
+                reject(new Error(message));
+            }
+        }
+    };
+}
+
+
+/**
+ * Execute a script worker fetch request message
+ *
+ * @async
+ * @param {Object} request - The [script worker fetch request message]{@link module:lib/scriptWorker~ScriptWorkerFetchRequest}
+ * @param {function} fetchFn - The fetch function
+ * @returns {Object} The [script worker fetch response message]{@link module:lib/scriptWorker~ScriptWorkerFetchResponse}
+ *
+ * @ignore
+ */
+export async function scriptWorkerFetchMessage(request, fetchFn) {
+    const {id, url, options} = request;
+    try {
+        const response = await fetchFn(url, options);
+        return {id, 'status': response.status, 'statusText': response.statusText, 'text': await response.text()};
+    } catch ({message}) {
+        return {id, 'error': message};
+    }
+}
+
+
+/**
+ * Execute a script worker request message
+ *
+ * @async
+ * @param {Object} request - The [script worker request message]{@link module:lib/scriptWorker~ScriptWorkerRequest}
+ * @param {function} fetchFn - The fetch function
+ * @returns {Object} The response message - the script's return value JSON ("result") or the error message ("error")
+ *
+ * @ignore
+ */
+export async function scriptWorkerMessage(request, fetchFn) {
+    try {
+        const {script, args, baseURL} = request;
+        const options = {
+            'globals': {'args': JSON.parse(args)},
+            fetchFn,
+            'urlFn': (url) => urlFileRelative(baseURL, url)
+        };
+        if ('systemPrefix' in request) {
+            options.systemPrefix = request.systemPrefix;
+        }
+        const result = await executeScriptAsync(parseScript(script), options);
+        return {'result': valueJSON(result ?? null)};
+    } catch ({message}) {
+        return {'error': message};
+    }
+}
+
+
+// Web Worker? If so, execute each request message and post its response message. The worker's fetches are posted to
+// the worker's owner as fetch request messages.
+if (typeof globalThis.WorkerGlobalScope !== 'undefined' && globalThis instanceof globalThis.WorkerGlobalScope) {
+    const {fetchFn, fetchResponse} = scriptWorkerFetch((message) => globalThis.postMessage(message));
+    globalThis.onmessage = async ({data}) => {
+        if ('fetchResponse' in data) {
+            fetchResponse(data.fetchResponse);
+        } else {
+            globalThis.postMessage(await scriptWorkerMessage(data, fetchFn));
+        }
+    };
+}
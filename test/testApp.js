@@ -18,14 +18,30 @@ import test from 'node:test';
 const jsdomURL = 'https://github.com/craigahobbs/markdown-up';
 
 
+// The built-in "sans" font family CSS font stack
+const fontFamilySans = "system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+
+
+// Helper function to create a menu button's attributes
+function menuButtonAttr(label, {expanded = null, pressed = null} = {}) {
+    const attr = {'style': 'cursor: pointer; user-select: none;', 'role': 'button', 'tabindex': '0', 'title': label, 'aria-label': label};
+    if (expanded !== null) {
+        attr['aria-expanded'] = expanded ? 'true' : 'false';
+    } else if (pressed !== null) {
+        attr['aria-pressed'] = pressed ? 'true' : 'false';
+    }
+    return attr;
+}
+
+
 // Helper function to create the menu burger elements
-function menuBurgerElements({darkMode = false} = {}) {
+function menuBurgerElements({darkMode = false, expanded = false} = {}) {
     return {
         'html': 'div',
         'attr': {'class': 'menu-burger'},
         'elem': {
             'html': 'div',
-            'attr': {'style': 'cursor: pointer; user-select: none;'},
+            'attr': menuButtonAttr('Menu', {expanded}),
             'elem': {
                 'svg': 'svg',
                 'attr': {'width': 32, 'height': 32},
@@ -61,14 +77,14 @@ function menuBurgerElements({darkMode = false} = {}) {
 
 
 // Helper function to create the menu elements
-function menuElements({darkMode = false, fontSizeText = null, viewMarkdown = false} = {}) {
+function menuElements({darkMode = false, find = false, fontSizeText = null, toc = false, viewMarkdown = false} = {}) {
     return {
         'html': 'div',
-        'attr': {'class': 'menu'},
+        'attr': {'class': 'menu', 'role': 'group', 'aria-label': 'Menu'},
         'elem': [
             {
                 'html': 'div',
-                'attr': {'style': 'cursor: pointer; user-select: none;'},
+                'attr': menuButtonAttr('Markdown view', {'pressed': viewMarkdown}),
                 'elem': {
                     'svg': 'svg',
                     'attr': {'width': 48, 'height': 48},
@@ -112,7 +128,128 @@ function menuElements({darkMode = false, fontSizeText = null, viewMarkdown = fal
             },
             {
                 'html': 'div',
-                'attr': {'style': 'cursor: pointer; user-select: none;'},
+                'attr': menuButtonAttr('Table of contents', {'pressed': toc}),
+                'elem': {
+                    'svg': 'svg',
+                    'attr': {'width': 48, 'height': 48},
+                    'elem': [
+                        !toc ? null : {
+                            'svg': 'rect',
+                            'attr': {'fill': (darkMode ? 'white' : 'black'), 'height': 48, 'stroke': 'none', 'width': 48}
+                        },
+                        {
+                            'svg': 'g',
+                            'attr': {'transform': 'translate(6.000, 6.000)'},
+                            'elem': {
+                                'svg': 'svg',
+                                'attr': {'width': '36.000', 'height': '36.000', 'viewBox': '0 0 24 24'},
+                                'elem': [
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode !== toc ? 'white' : 'black'),
+                                            'stroke-width': 3,
+                                            'd': 'M2,4 L5,4 M2,12 L5,12 M2,20 L5,20'
+                                        }
+                                    },
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode !== toc ? 'white' : 'black'),
+                                            'stroke-width': 2,
+                                            'd': 'M8,4 L22,4 M11,12 L22,12 M11,20 L22,20'
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        null,
+                        null
+                    ]
+                }
+            },
+            {
+                'html': 'div',
+                'attr': menuButtonAttr('Find', {'pressed': find}),
+                'elem': {
+                    'svg': 'svg',
+                    'attr': {'width': 48, 'height': 48},
+                    'elem': [
+                        !find ? null : {
+                            'svg': 'rect',
+                            'attr': {'fill': (darkMode ? 'white' : 'black'), 'height': 48, 'stroke': 'none', 'width': 48}
+                        },
+                        {
+                            'svg': 'g',
+                            'attr': {'transform': 'translate(6.000, 6.000)'},
+                            'elem': {
+                                'svg': 'svg',
+                                'attr': {'width': '36.000', 'height': '36.000', 'viewBox': '0 0 24 24'},
+                                'elem': [
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode !== find ? 'white' : 'black'),
+                                            'stroke-width': 3,
+                                            'd': 'M10,3 A7,7,0,1,0,10,17 A7,7,0,1,0,10,3 M15,15 L21,21'
+                                        }
+                                    },
+                                    null
+                                ]
+                            }
+                        },
+                        null,
+                        null
+                    ]
+                }
+            },
+            {
+                'html': 'div',
+                'attr': menuButtonAttr('Export HTML'),
+                'elem': {
+                    'svg': 'svg',
+                    'attr': {'width': 48, 'height': 48},
+                    'elem': [
+                        null,
+                        {
+                            'svg': 'g',
+                            'attr': {'transform': 'translate(6.000, 6.000)'},
+                            'elem': {
+                                'svg': 'svg',
+                                'attr': {'width': '36.000', 'height': '36.000', 'viewBox': '0 0 24 24'},
+                                'elem': [
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode ? 'white' : 'black'),
+                                            'stroke-width': 3,
+                                            'd': 'M12,2 L12,15 M6,9 L12,15 L18,9'
+                                        }
+                                    },
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode ? 'white' : 'black'),
+                                            'stroke-width': 2,
+                                            'd': 'M3,21 L21,21'
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        null,
+                        null
+                    ]
+                }
+            },
+            {
+                'html': 'div',
+                'attr': menuButtonAttr('Dark mode', {'pressed': darkMode}),
                 'elem': {
                     'svg': 'svg',
                     'attr': {'width': 48, 'height': 48},
@@ -146,9 +283,10 @@ function menuElements({darkMode = false, fontSizeText = null, viewMarkdown = fal
                     ]
                 }
             },
+            null,
             {
                 'html': 'div',
-                'attr': {'style': 'cursor: pointer; user-select: none;'},
+                'attr': menuButtonAttr(`Font size: ${fontSizeText ?? '12pt'}`),
                 'elem': {
                     'svg': 'svg',
                     'attr': {'width': 48, 'height': 48},
@@ -204,7 +342,7 @@ function menuElements({darkMode = false, fontSizeText = null, viewMarkdown = fal
             },
             {
                 'html': 'div',
-                'attr': {'style': 'cursor: pointer; user-select: none;'},
+                'attr': menuButtonAttr('Line height: 1.3'),
                 'elem': {
                     'svg': 'svg',
                     'attr': {'width': 48, 'height': 48},
@@ -260,7 +398,73 @@ function menuElements({darkMode = false, fontSizeText = null, viewMarkdown = fal
             },
             {
                 'html': 'div',
-                'attr': {'style': 'cursor: pointer; user-select: none;'},
+                'attr': menuButtonAttr('Font: sans'),
+                'elem': {
+                    'svg': 'svg',
+                    'attr': {'width': 48, 'height': 48},
+                    'elem': [
+                        null,
+                        {
+                            'svg': 'g',
+                            'attr': {'transform': 'translate(6.000, 6.000)'},
+                            'elem': {
+                                'svg': 'svg',
+                                'attr': {'width': '36.000', 'height': '36.000', 'viewBox': '0 0 24 24'},
+                                'elem': [
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode ? 'white' : 'black'),
+                                            'stroke-width': 3,
+                                            'd': 'M4,6 L4,3 L20,3 L20,6 M12,3 L12,21 M8,21 L16,21'
+                                        }
+                                    },
+                                    null
+                                ]
+                            }
+                        },
+                        null,
+                        null
+                    ]
+                }
+            },
+            {
+                'html': 'div',
+                'attr': menuButtonAttr('Width: full'),
+                'elem': {
+                    'svg': 'svg',
+                    'attr': {'width': 48, 'height': 48},
+                    'elem': [
+                        null,
+                        {
+                            'svg': 'g',
+                            'attr': {'transform': 'translate(6.000, 6.000)'},
+                            'elem': {
+                                'svg': 'svg',
+                                'attr': {'width': '36.000', 'height': '36.000', 'viewBox': '0 0 24 24'},
+                                'elem': [
+                                    {
+                                        'svg': 'path',
+                                        'attr': {
+                                            'fill': 'none',
+                                            'stroke': (darkMode ? 'white' : 'black'),
+                                            'stroke-width': 3,
+                                            'd': 'M2,12 L22,12 M6,8 L2,12 L6,16 M18,8 L22,12 L18,16'
+                                        }
+                                    },
+                                    null
+                                ]
+                            }
+                        },
+                        null,
+                        null
+                    ]
+                }
+            },
+            {
+                'html': 'div',
+                'attr': menuButtonAttr('Debug mode', {'pressed': false}),
                 'elem': {
                     'svg': 'svg',
                     'attr': {'width': 48, 'height': 48},
@@ -292,9 +496,11 @@ function menuElements({darkMode = false, fontSizeText = null, viewMarkdown = fal
                     ]
                 }
             },
+            [],
+            [],
             {
                 'html': 'div',
-                'attr': {'style': 'cursor: pointer; user-select: none;'},
+                'attr': menuButtonAttr('Help'),
                 'elem': {
                     'svg': 'svg',
                     'attr': {'width': 48, 'height': 48},
@@ -367,9 +573,13 @@ test('MarkdownUp, constructor', () => {
     const app = new MarkdownUp(window);
     assert.equal(app.window, window);
     assert.equal(app.params, null);
+    assert.equal(app.cacheSession, false);
+    assert.equal(app.cacheSize, 20);
+    assert.equal(app.cacheTTL, 0);
     assert.equal(app.fontSize, 12);
     assert.equal(app.lineHeight, 1.3);
     assert.equal(app.menu, true);
+    assert.equal(app.refresh, 0);
     assert.equal(app.url, 'README.md');
 });
 
@@ -408,7 +618,9 @@ test('MarkdownUp, run and render', async () => {
     );
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.document.documentElement.style.colorScheme, 'light');
 
@@ -424,7 +636,9 @@ test('MarkdownUp, run and render', async () => {
     );
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '14pt'],
-        ['--barescript-line-height', `1.4em`]
+        ['--barescript-line-height', `1.4em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.document.documentElement.style.colorScheme, 'dark');
 
@@ -438,6 +652,77 @@ test('MarkdownUp, run and render', async () => {
 });
 
 
+test('MarkdownUp, render aborted', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchSignals = [];
+    let slowResolve = null;
+    const fetchResponse = (text) => ({
+        'ok': true,
+        'status': 200,
+        'headers': {'get': () => null},
+        'text': () => new Promise((resolve) => {
+            resolve(text);
+        })
+    });
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        fetchSignals.push(options.signal);
+        return new Promise((resolve) => {
+            if (url === 'slow.md') {
+                slowResolve = resolve;
+            } else {
+                resolve(fetchResponse('# Fast'));
+            }
+        });
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'menu': false});
+
+    // Begin rendering the slow document
+    window.location.hash = '#url=slow.md';
+    const renderSlow = app.render();
+    await new Promise((resolve) => {
+        window.setTimeout(resolve, 0);
+    });
+    assert.notEqual(slowResolve, null);
+
+    // Render the fast document - aborts the slow document's fetch
+    window.location.hash = '#url=fast.md';
+    await app.render();
+    assert.equal(fetchSignals.length, 2);
+    assert.equal(fetchSignals[0].aborted, true);
+    assert.equal(fetchSignals[1].aborted, false);
+    assert.equal(window.document.title, 'Fast');
+    const fastHTML = '<div id="_top" style="display=none; position: absolute; top: 0;"></div><h1 id="fast">Fast</h1>';
+    assert.equal(window.document.body.innerHTML, fastHTML);
+
+    // The slow document's stale result is not rendered
+    slowResolve(fetchResponse('# Slow'));
+    await renderSlow;
+    assert.equal(window.document.title, 'Fast');
+    assert.equal(window.document.body.innerHTML, fastHTML);
+});
+
+
+test('MarkdownUp.main, markdown-script aborted', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+markdownPrint('Hello')
+~~~
+`
+    });
+    app.updateParams('');
+    app.abortController.abort();
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1], [null]);
+});
+
+
 test('MarkdownUp, render bad params', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
 
@@ -445,14 +730,77 @@ test('MarkdownUp, render bad params', async () => {
     window.document.documentElement.style.setProperty = (prop, val) => documentElementStyleSetPropertyCalls.push([prop, val]);
 
     window.location.hash = '#unknown=bad';
-    const app = new MarkdownUp(window);
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '', 'menu': false});
     await app.render();
     assert.equal(window.document.title, 'MarkdownUp');
-    assert.equal(window.document.body.innerHTML, '<p>Error: Unknown member "unknown"</p>');
+    assert.equal(
+        window.document.body.innerHTML,
+        '<div id="_top" style="display=none; position: absolute; top: 0;"></div>' +
+            '<div class="markdown-up-error"><p>Error: Unknown member "unknown"</p><p><a href="#">Back</a></p></div>'
+    );
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
+
+    // Fix the hash parameters
+    window.location.hash = '#';
+    await app.render();
+    assert.equal(app.paramsError, null);
+    assert.equal(
+        window.document.body.innerHTML,
+        '<div id="_top" style="display=none; position: absolute; top: 0;"></div>'
+    );
+});
+
+
+test('MarkdownUp, render bad params menu', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#unknown=bad';
+    window.localStorage.setItem('MarkdownUp', '{"darkMode": true}');
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    await app.render();
+    assert.equal(window.document.title, 'MarkdownUp');
+    assert.equal(window.document.documentElement.style.colorScheme, 'dark');
+    assert.notEqual(window.document.querySelector('.menu-burger'), null);
+    assert.notEqual(window.document.querySelector('.menu'), null);
+    assert.equal(window.document.querySelector('.markdown-up-error p').innerHTML, 'Error: Unknown member "unknown"');
+
+    // Click the Back link
+    let backCount = 0;
+    window.history.back = () => ++backCount;
+    window.document.querySelector('.markdown-up-error a').click();
+    assert.equal(backCount, 1);
+});
+
+
+test('MarkdownUp, render error markdown', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#unknown=bad';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'menu': false,
+        'errorMarkdown': `\
+# Oops
+
+~~~ markdown-script
+markdownPrint('Message: ' + objectGet(markdownUpError, 'message'))
+~~~
+`
+    });
+    await app.render();
+    assert.equal(window.document.title, 'Oops');
+    assert.equal(
+        window.document.body.innerHTML,
+        '<div id="_top" style="display=none; position: absolute; top: 0;"></div>' +
+            '<h1 id="oops">Oops</h1><p>Message: Unknown member "unknown"</p>'
+    );
 });
 
 
@@ -470,7 +818,9 @@ test('MarkdownUp, render menu toggle', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), null);
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), null);
@@ -510,7 +860,9 @@ test('MarkdownUp, render menu view toggle', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), null);
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
@@ -572,7 +924,9 @@ test('MarkdownUp, render menu dark mode toggle, system light mode', async () =>
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.deepEqual(windowMatchMediaCalls, [
         '(prefers-color-scheme: dark)'
@@ -581,7 +935,7 @@ test('MarkdownUp, render menu dark mode toggle, system light mode', async () =>
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the dark mode menu button and wait for the render
-    let [, , , , darkModeButton] = window.document.getElementsByTagName('div');
+    let [, , , , , , , darkModeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     windowMatchMediaCalls.length = 0;
@@ -590,14 +944,16 @@ test('MarkdownUp, render menu dark mode toggle, system light mode', async () =>
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.deepEqual(windowMatchMediaCalls, []);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{"darkMode":true}');
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the dark mode menu button again
-    [, , , , darkModeButton] = window.document.getElementsByTagName('div');
+    [, , , , , , , darkModeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     windowMatchMediaCalls.length = 0;
@@ -606,7 +962,9 @@ test('MarkdownUp, render menu dark mode toggle, system light mode', async () =>
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.deepEqual(windowMatchMediaCalls, []);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{}');
@@ -635,7 +993,9 @@ test('MarkdownUp, render menu dark mode toggle, system dark mode', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.deepEqual(windowMatchMediaCalls, [
         '(prefers-color-scheme: dark)'
@@ -644,7 +1004,7 @@ test('MarkdownUp, render menu dark mode toggle, system dark mode', async () => {
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the dark mode menu button and wait for the render
-    let [, , , , darkModeButton] = window.document.getElementsByTagName('div');
+    let [, , , , , , , darkModeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     windowMatchMediaCalls.length = 0;
@@ -653,14 +1013,16 @@ test('MarkdownUp, render menu dark mode toggle, system dark mode', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.deepEqual(windowMatchMediaCalls, []);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{"darkMode":false}');
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the dark mode menu button again
-    [, , , , darkModeButton] = window.document.getElementsByTagName('div');
+    [, , , , , , , darkModeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     windowMatchMediaCalls.length = 0;
@@ -669,7 +1031,9 @@ test('MarkdownUp, render menu dark mode toggle, system dark mode', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.deepEqual(windowMatchMediaCalls, []);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{}');
@@ -692,13 +1056,15 @@ test('MarkdownUp, render menu cycle', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '12pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), null);
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the font-size menu button and wait for the render
-    let [, , , , , fontSizeButton] = window.document.getElementsByTagName('div');
+    let [, , , , , , , , fontSizeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     fontSizeButton.click();
@@ -706,13 +1072,15 @@ test('MarkdownUp, render menu cycle', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '14pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{"fontSize":14}');
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the font-size menu button again
-    [, , , , , fontSizeButton] = window.document.getElementsByTagName('div');
+    [, , , , , , , , fontSizeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     fontSizeButton.click();
@@ -720,7 +1088,9 @@ test('MarkdownUp, render menu cycle', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '18pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{"fontSize":18}');
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
@@ -743,13 +1113,15 @@ test('MarkdownUp, render menu cycle overflow', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '24pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{"fontSize": 24}');
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 
     // Click the font-size menu button and wait for the render
-    const [, , , , , fontSizeButton] = window.document.getElementsByTagName('div');
+    const [, , , , , , , , fontSizeButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     documentElementStyleSetPropertyCalls.length = 0;
     fontSizeButton.click();
@@ -757,26 +1129,221 @@ test('MarkdownUp, render menu cycle overflow', async () => {
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
     assert.deepEqual(documentElementStyleSetPropertyCalls, [
         ['--barescript-font-size', '8pt'],
-        ['--barescript-line-height', `1.3em`]
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
     ]);
     assert.equal(window.localStorage.getItem('MarkdownUp'), '{"fontSize":8}');
     assert.equal(window.sessionStorage.getItem('MarkdownUp'), '{"menu": 1}');
 });
 
 
-test('MarkdownUp, render menu help', async () => {
+test('MarkdownUp, render menu theme', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
 
+    const documentElementStyleSetPropertyCalls = [];
+    window.document.documentElement.style.setProperty = (prop, val) => documentElementStyleSetPropertyCalls.push([prop, val]);
+    const documentElementStyleRemovePropertyCalls = [];
+    window.document.documentElement.style.removeProperty = (prop) => documentElementStyleRemovePropertyCalls.push(prop);
+
     window.location.hash = '#';
     window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
     window.fetch = (url, options) => fetchSystem(null, url, options);
-    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello!', 'helpURL': '#help'});
+    const themes = {
+        'Solarized': {
+            '--markdown-up-menu-background': 'rgb(253, 246, 227)',
+            '--markdown-up-menu-border': 'rgb(101, 123, 131)'
+        }
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello!', themes});
     await app.render();
-    assert.equal(window.document.title, '');
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert(!window.document.body.innerHTML.includes('rgb(101, 123, 131)'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
+    ]);
+    assert.deepEqual(documentElementStyleRemovePropertyCalls, []);
+    assert.equal(window.localStorage.getItem('MarkdownUp'), null);
+
+    // Click the theme menu button and wait for the render
+    let [, , , , , , , , themeButton] = window.document.getElementsByTagName('div');
+    assert.equal(themeButton.getAttribute('title'), 'Default theme');
+    window.document.body.innerHTML = '';
+    documentElementStyleSetPropertyCalls.length = 0;
+    themeButton.click();
+    await flushPromises();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert(window.document.body.innerHTML.includes('stroke="rgb(101, 123, 131)"'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--markdown-up-menu-background', 'rgb(253, 246, 227)'],
+        ['--markdown-up-menu-border', 'rgb(101, 123, 131)'],
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
+    ]);
+    assert.deepEqual(documentElementStyleRemovePropertyCalls, []);
+    assert.equal(window.localStorage.getItem('MarkdownUp'), '{"theme":"Solarized"}');
+
+    // Click the theme menu button again to return to the default theme
+    [, , , , , , , , themeButton] = window.document.getElementsByTagName('div');
+    assert.equal(themeButton.getAttribute('title'), 'Solarized');
+    window.document.body.innerHTML = '';
+    documentElementStyleSetPropertyCalls.length = 0;
+    themeButton.click();
+    await flushPromises();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert(!window.document.body.innerHTML.includes('rgb(101, 123, 131)'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
+    ]);
+    assert.deepEqual(documentElementStyleRemovePropertyCalls, ['--markdown-up-menu-background', '--markdown-up-menu-border']);
+    assert.equal(window.localStorage.getItem('MarkdownUp'), '{}');
+});
+
+
+test('MarkdownUp, render menu theme default theme', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+
+    const documentElementStyleSetPropertyCalls = [];
+    window.document.documentElement.style.setProperty = (prop, val) => documentElementStyleSetPropertyCalls.push([prop, val]);
+    const documentElementStyleRemovePropertyCalls = [];
+    window.document.documentElement.style.removeProperty = (prop) => documentElementStyleRemovePropertyCalls.push(prop);
+
+    window.location.hash = '#';
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const themes = {
+        'Solarized': {
+            '--markdown-up-menu-background': 'rgb(253, 246, 227)',
+            '--markdown-up-menu-border': 'rgb(101, 123, 131)'
+        }
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello!', 'theme': 'Solarized', themes});
+    await app.render();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert(window.document.body.innerHTML.includes('stroke="rgb(101, 123, 131)"'));
+    assert.equal(window.localStorage.getItem('MarkdownUp'), null);
+
+    // Click the theme menu button to select the unthemed look
+    let [, , , , , , , , themeButton] = window.document.getElementsByTagName('div');
+    assert.equal(themeButton.getAttribute('title'), 'Solarized');
+    window.document.body.innerHTML = '';
+    documentElementStyleSetPropertyCalls.length = 0;
+    themeButton.click();
+    await flushPromises();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert(!window.document.body.innerHTML.includes('rgb(101, 123, 131)'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
+    ]);
+    assert.deepEqual(documentElementStyleRemovePropertyCalls, ['--markdown-up-menu-background', '--markdown-up-menu-border']);
+    assert.equal(window.localStorage.getItem('MarkdownUp'), '{"theme":""}');
+
+    // Click the theme menu button again to return to the default theme
+    [, , , , , , , , themeButton] = window.document.getElementsByTagName('div');
+    assert.equal(themeButton.getAttribute('title'), 'Default theme');
+    window.document.body.innerHTML = '';
+    themeButton.click();
+    await flushPromises();
+    assert(window.document.body.innerHTML.includes('stroke="rgb(101, 123, 131)"'));
+    assert.equal(window.localStorage.getItem('MarkdownUp'), '{"theme":"Solarized"}');
+});
+
+
+test('MarkdownUp, render menu font family and content width', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+
+    const documentElementStyleSetPropertyCalls = [];
+    window.document.documentElement.style.setProperty = (prop, val) => documentElementStyleSetPropertyCalls.push([prop, val]);
+
+    window.location.hash = '#';
+    window.localStorage.setItem('MarkdownUp', '{"fontFamily": "monospace"}');
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': 'Hello!',
+        'fontFamilies': {'Lato': 'Lato, sans-serif'},
+        'contentWidth': 'medium'
+    });
+    await app.render();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', "ui-monospace, Menlo, Consolas, 'Liberation Mono', monospace"],
+        ['--markdown-up-content-width', '60em']
+    ]);
+
+    // Click the font family menu button and wait for the render
+    let [, , , , , , , , , , fontFamilyButton, contentWidthButton] = window.document.getElementsByTagName('div');
+    assert.equal(fontFamilyButton.getAttribute('title'), 'Font: monospace');
+    assert.equal(contentWidthButton.getAttribute('title'), 'Width: medium');
+    window.document.body.innerHTML = '';
+    documentElementStyleSetPropertyCalls.length = 0;
+    fontFamilyButton.click();
+    await flushPromises();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', 'Lato, sans-serif'],
+        ['--markdown-up-content-width', '60em']
+    ]);
+    assert.equal(window.localStorage.getItem('MarkdownUp'), '{"fontFamily":"Lato"}');
+
+    // Click the content width menu button
+    [, , , , , , , , , , fontFamilyButton, contentWidthButton] = window.document.getElementsByTagName('div');
+    assert.equal(fontFamilyButton.getAttribute('title'), 'Font: Lato');
+    window.document.body.innerHTML = '';
+    documentElementStyleSetPropertyCalls.length = 0;
+    contentWidthButton.click();
+    await flushPromises();
+    assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', 'Lato, sans-serif'],
+        ['--markdown-up-content-width', '100%']
+    ]);
+    assert.equal(window.localStorage.getItem('MarkdownUp'), '{"fontFamily":"Lato","contentWidth":"full"}');
+
+    // Unknown font family names use the default font family
+    window.localStorage.setItem('MarkdownUp', '{"fontFamily": "Unknown"}');
+    documentElementStyleSetPropertyCalls.length = 0;
+    await app.render();
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '12pt'],
+        ['--barescript-line-height', `1.3em`],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '60em']
+    ]);
+});
+
+
+test('MarkdownUp, render menu help', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+
+    window.location.hash = '#';
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello!', 'helpURL': '#help'});
+    await app.render();
+    assert.equal(window.document.title, '');
     assert(window.document.body.innerHTML.endsWith('<p>Hello!</p>'));
 
     // Click the help menu button and wait for the render
-    const [, , , , , , , , helpButton] = window.document.getElementsByTagName('div');
+    const [, , , , , , , , , , , , , helpButton] = window.document.getElementsByTagName('div');
     window.document.body.innerHTML = '';
     helpButton.click();
     await flushPromises();
@@ -785,6 +1352,217 @@ test('MarkdownUp, render menu help', async () => {
 });
 
 
+test('MarkdownUp, render menu export', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.document.head.innerHTML = '<style>p { color: red; }</style>';
+    const createObjectURLCalls = [];
+    window.URL.createObjectURL = (blob) => {
+        createObjectURLCalls.push(blob);
+        return 'blob:export';
+    };
+    const revokeObjectURLCalls = [];
+    window.URL.revokeObjectURL = (url) => {
+        revokeObjectURLCalls.push(url);
+    };
+    const linkClicks = [];
+    window.HTMLAnchorElement.prototype.click = function click() {
+        linkClicks.push([this.href, this.download, this.isConnected]);
+    };
+
+    window.location.hash = '#find=hello';
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1, "toc": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Hello\n\nHello & "goodbye"'});
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    await app.render();
+    assert.equal(window.document.querySelectorAll('mark').length, 2);
+
+    // Click the export menu button
+    const timeouts = [];
+    window.setTimeout = (callback) => timeouts.push(callback);
+    const [, , , , , , exportButton] = window.document.getElementsByTagName('div');
+    exportButton.click();
+    assert.deepEqual(linkClicks, [['blob:export', 'README.html', true]]);
+    assert.deepEqual(revokeObjectURLCalls, []);
+    assert.equal(timeouts.length, 1);
+
+    // The object URL is revoked and the link removed later
+    timeouts[0]();
+    assert.deepEqual(revokeObjectURLCalls, ['blob:export']);
+    assert.equal(window.document.querySelector('a[download]'), null);
+    assert.equal(createObjectURLCalls.length, 1);
+    assert.equal(createObjectURLCalls[0].type, 'text/html');
+    const exportText = await createObjectURLCalls[0].text();
+    assert.equal(exportText, app.exportHTML());
+    assert(exportText.startsWith('<!DOCTYPE html>\n<html lang="en" dir="ltr" style="'));
+    assert(exportText.includes('<title>Hello</title>'));
+    assert(exportText.includes('color: red'));
+    assert(exportText.includes(
+        '<h1 id="find=hello&amp;hello">Hello</h1><p>Hello &amp; "goodbye"</p>'
+    ));
+    assert(!exportText.includes('menu'));
+});
+
+
+test('MarkdownUp, render menu items', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    let refreshCount = 0;
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': 'Hello',
+        'menuItems': [
+            {'name': 'export', 'hidden': true},
+            {'name': 'debug', 'hidden': true},
+            {'label': 'Settings', 'url': '#settings', 'path': 'M2,2 L22,22'},
+            {'label': 'Refresh data', 'callback': () => ++refreshCount, 'checked': () => refreshCount === 0}
+        ]
+    });
+    await app.render();
+
+    // The built-in menu items are followed by the application menu items
+    const menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.deepEqual(
+        Array.from(menuButtons).map((menuButton) => menuButton.getAttribute('title')),
+        [
+            'Markdown view', 'Table of contents', 'Find', 'Dark mode', 'Font size: 12pt', 'Line height: 1.3', 'Font: sans',
+            'Width: full', 'Settings', 'Refresh data', 'Help'
+        ]
+    );
+    const [, , , , , , , , settingsButton, refreshButton] = menuButtons;
+    assert.equal(settingsButton.getAttribute('aria-pressed'), null);
+    assert.equal(refreshButton.getAttribute('aria-pressed'), 'true');
+    assert.equal(settingsButton.querySelector('rect'), null);
+    assert.equal(settingsButton.querySelector('path').getAttribute('d'), 'M2,2 L22,22');
+    assert.equal(refreshButton.querySelector('rect').getAttribute('fill'), 'black');
+    assert.equal(refreshButton.querySelector('path').getAttribute('d'), 'M12,5 A7,7,0,1,0,12,19 A7,7,0,1,0,12,5');
+
+    // Click the menu items
+    refreshButton.click();
+    assert.equal(refreshCount, 1);
+    settingsButton.click();
+    assert.equal(window.location.hash, '#settings');
+});
+
+
+test('MarkdownUp, render document menu items', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+function onRefresh():
+    documentAddMenuItem('Refresh data', onRefresh, null, true)
+    markdownPrint('Refreshed')
+endfunction
+
+documentAddMenuItem('Refresh data', onRefresh)
+markdownPrint('Hello')
+~~~
+`
+    });
+    await app.render();
+    assert.equal(window.document.body.querySelector('p').innerHTML, 'Hello');
+
+    // The document menu items follow the built-in menu items
+    let menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(menuButtons.length, 12);
+    assert.equal(menuButtons[10].getAttribute('title'), 'Refresh data');
+    assert.equal(menuButtons[10].querySelector('rect'), null);
+
+    // Click the document menu item - the menu is re-rendered with the updated menu item
+    menuButtons[10].click();
+    await flushPromises();
+    assert.equal(window.document.body.querySelector('p').innerHTML, 'Refreshed');
+    menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(menuButtons.length, 12);
+    assert.equal(menuButtons[10].getAttribute('title'), 'Refresh data');
+    assert.notEqual(menuButtons[10].querySelector('rect'), null);
+});
+
+
+test('MarkdownUp, render document menu item checked', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+settings = {'autoRefresh': false}
+
+function onAutoRefresh():
+    autoRefresh = !objectGet(settings, 'autoRefresh')
+    objectSet(settings, 'autoRefresh', autoRefresh)
+    documentAddMenuItem('Auto refresh', onAutoRefresh, null, autoRefresh)
+endfunction
+
+documentAddMenuItem('Auto refresh', onAutoRefresh, null, false)
+markdownPrint('Hello')
+~~~
+`
+    });
+    await app.render();
+    let menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(menuButtons[10].getAttribute('title'), 'Auto refresh');
+    assert.equal(menuButtons[10].getAttribute('aria-pressed'), 'false');
+
+    // Click the document menu item - the callback renders nothing, but the menu is re-rendered checked
+    menuButtons[10].focus();
+    menuButtons[10].click();
+    await flushPromises();
+    assert.equal(window.document.body.querySelector('p').innerHTML, 'Hello');
+    menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(menuButtons.length, 12);
+    assert.equal(menuButtons[10].getAttribute('aria-pressed'), 'true');
+    assert.equal(window.document.activeElement, menuButtons[10]);
+
+    // Click the document menu item again - the menu item is unchecked
+    menuButtons[10].click();
+    await flushPromises();
+    menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(menuButtons[10].getAttribute('aria-pressed'), 'false');
+});
+
+
+test('MarkdownUp, render print', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#view=print';
+    window.localStorage.setItem('MarkdownUp', '{"darkMode": true}');
+    window.sessionStorage.setItem('MarkdownUp', '{"menu": 1, "toc": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+# Hello
+
+~~~ markdown-script
+elementModelRender({'html': 'details', 'elem': {'html': 'summary', 'elem': {'text': 'Summary'}}})
+~~~
+`
+    });
+    await app.render();
+    assert.equal(window.document.documentElement.style.colorScheme, 'light');
+    assert.equal(window.document.documentElement.className, 'markdown-up-print');
+    assert.equal(
+        window.document.body.innerHTML,
+        '<h1 id="view=print&amp;hello">Hello</h1><details open=""><summary>Summary</summary></details>'
+    );
+
+    // Leave the print view
+    window.location.hash = '#';
+    await app.render();
+    assert.equal(window.document.documentElement.style.colorScheme, 'dark');
+    assert.equal(window.document.documentElement.className, '');
+});
+
+
 test('MarkdownUp, render timeout', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
 
@@ -863,68 +1641,243 @@ main()
 });
 
 
-test('MarkdownUp, render resize', async () => {
+test('MarkdownUp, render refresh', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
 
-    // Patch window.addEventListener and window.removeEventListener
-    const eventListener = {'resize': null};
-    window.addEventListener = (type, callback) => {
-        eventListener[type] = callback;
+    // Patch window.setTimeout and window.clearTimeout
+    const windowTimeouts = [];
+    window.setTimeout = (callback, delay) => {
+        if (delay === 0) {
+            // Ignore JSDOM call?
+            return 0;
+        }
+        windowTimeouts.push([callback, delay]);
+        return windowTimeouts.length;
     };
-    window.removeEventListener = (type, callback) => {
-        assert.equal(type, 'resize');
-        assert.equal(callback, eventListener[type]);
-        eventListener[type] = null;
+    const clearTimeoutCalls = [];
+    window.clearTimeout = (timeoutId) => {
+        clearTimeoutCalls.push(timeoutId);
     };
 
-    window.fetch = (url, options) => fetchSystem(null, url, options);
-    const app = new MarkdownUp(window, {
-        'systemPrefix': fetchSystemPrefix,
-        'markdownText': `\
-~~~ markdown-script
-function main():
-    systemGlobalSet('count', count + 1)
-    markdownPrint('Hello ' + count)
-endfunction
+    // The document's text and ETag
+    let documentText = '# Hello';
+    let documentETag = '"v1"';
+    const fetchCalls = [];
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
 
-count = 0
-windowSetResize(main)
-main()
-~~~
-`
+        assert.equal(url, 'README.md');
+        fetchCalls.push(options.headers['If-None-Match'] ?? null);
+        if (options.headers['If-None-Match'] === documentETag) {
+            return {'ok': false, 'status': 304, 'statusText': 'Not Modified'};
+        }
+        return {
+            'ok': true,
+            'status': 200,
+            'headers': {'get': (name) => (name === 'ETag' ? documentETag : null)},
+            'text': () => new Promise((resolve) => {
+                resolve(documentText);
+            })
+        };
+    };
+    window.fetch = (url, options) => new Promise((resolve) => {
+        resolve(fetchResolve(url, options));
     });
-    window.location.hash = '#';
+
+    // Render the document
+    window.location.hash = '#refresh=2';
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'menu': false});
     await app.render();
-    assert.equal(typeof eventListener.resize, 'function');
-    assert.equal(typeof app.runtimeWindowResize, 'function');
-    assert.equal(window.document.title, '');
-    assert(window.document.body.innerHTML.endsWith('<p>Hello 1</p>'));
+    assert.equal(window.document.title, 'Hello');
+    assert.deepEqual(fetchCalls, [null]);
+    assert.deepEqual(windowTimeouts.map(([, delay]) => delay), [2000]);
+    assert.equal(app.refreshTimeoutId, 1);
 
-    // Render again to test clearing the runtime resize event handler
+    // Check for changes - not modified
+    await windowTimeouts[0][0]();
+    assert.equal(window.document.title, 'Hello');
+    assert.deepEqual(fetchCalls, [null, '"v1"']);
+    assert.deepEqual(windowTimeouts.map(([, delay]) => delay), [2000, 2000]);
+    assert.equal(app.refreshTimeoutId, 2);
+
+    // Check for changes - modified
+    documentText = '# Goodbye';
+    documentETag = '"v2"';
+    await windowTimeouts[1][0]();
+    assert.equal(window.document.title, 'Goodbye');
+    assert.deepEqual(fetchCalls, [null, '"v1"', '"v1"', '"v2"']);
+    assert.deepEqual(windowTimeouts.map(([, delay]) => delay), [2000, 2000, 2000]);
+    assert.equal(app.refreshTimeoutId, 3);
+
+    // Navigate away from the live reload document - the live reload timeout is cleared
     window.location.hash = '#';
-    await app.render(true);
-    assert.equal(typeof eventListener.resize, 'function');
-    assert.equal(typeof app.runtimeWindowResize, 'function');
-    assert.equal(window.document.title, '');
-    assert(window.document.body.innerHTML.endsWith('<p>Hello 1</p>'));
-
-    // Call the resize callback
-    await eventListener.resize();
-    assert.equal(typeof eventListener.resize, 'function');
-    assert.equal(typeof app.runtimeWindowResize, 'function');
-    assert.equal(window.document.title, '');
-    assert(window.document.body.innerHTML.endsWith('<p>Hello 2</p>'));
+    await app.render();
+    assert.deepEqual(clearTimeoutCalls, [3]);
+    assert.equal(app.refreshTimeoutId, null);
 });
 
 
-test('MarkdownUp, render keydown', async () => {
+test('MarkdownUp, render refresh option', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-
-    // Patch window.document.addEventListener and window.document.removeEventListener
-    const eventListener = {'keydown': null};
-    window.document.addEventListener = (type, callback) => {
-        eventListener[type] = callback;
-    };
+    const windowTimeouts = [];
+    window.setTimeout = (callback, delay) => {
+        if (delay === 0) {
+            // Ignore JSDOM call?
+            return 0;
+        }
+        windowTimeouts.push([callback, delay]);
+        return windowTimeouts.length;
+    };
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+
+    // Markdown text documents are not live reloaded
+    window.location.hash = '#';
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Hello', 'refresh': 5});
+    await app.render();
+    assert.equal(window.document.title, 'Hello');
+    assert.deepEqual(windowTimeouts, []);
+
+    // Resource URL documents are live reloaded
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve('# Other');
+        })};
+    };
+    window.location.hash = '#url=other.md';
+    await app.render();
+    assert.equal(window.document.title, 'Other');
+    assert.deepEqual(windowTimeouts.map(([, delay]) => delay), [5000]);
+});
+
+
+test('MarkdownUp, render scroll position', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const scrollToCalls = [];
+    window.scrollTo = (scrollX, scrollY) => {
+        scrollToCalls.push([scrollX, scrollY]);
+        window.scrollY = scrollY;
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Title\n\n## Section', 'menu': false});
+    await app.render();
+    assert.deepEqual(window.history.state, {'markdownUp': 1});
+    assert.equal(window.sessionStorage.getItem('MarkdownUpScroll'), null);
+    assert.deepEqual(scrollToCalls, []);
+
+    // Scroll such that the section header is nearest the top of the viewport
+    window.scrollY = 500;
+    window.document.getElementById('title').getBoundingClientRect = () => ({'top': -480});
+    window.document.getElementById('section').getBoundingClientRect = () => ({'top': -20});
+
+    // Forced render (e.g. font size change) moves the section header - the scroll position follows the header
+    await app.render(true);
+    assert.deepEqual(JSON.parse(window.sessionStorage.getItem('MarkdownUpScroll')), {
+        'positions': [
+            {'url': 'https://github.com/craigahobbs/README.md', 'scrollY': 500, 'header': 'section', 'offset': -20}
+        ]
+    });
+    assert.deepEqual(scrollToCalls, [[0, 520]]);
+
+    // Navigation to a new history entry does not restore the scroll position
+    window.location.hash = '#var.vName=1';
+    await app.render();
+    assert.deepEqual(window.history.state, {'markdownUp': 1});
+    assert.deepEqual(scrollToCalls, [[0, 520]]);
+
+    // History navigation (e.g. reload) restores the scroll position from session storage
+    window.scrollY = 0;
+    window.sessionStorage.setItem('MarkdownUpScroll', JSON.stringify({
+        'positions': [
+            {'url': 'https://github.com/craigahobbs/README.md', 'scrollY': 300, 'header': 'section', 'offset': -40}
+        ]
+    }));
+    const app2 = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Title\n\n## Section', 'menu': false});
+    await app2.render();
+    assert.deepEqual(scrollToCalls, [[0, 520], [0, 40]]);
+});
+
+
+test('MarkdownUp, render scroll position invalid session storage', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.history.replaceState({'markdownUp': 1}, '');
+    window.sessionStorage.setItem('MarkdownUpScroll', '{"positions": [{"url": "README.md"}]}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Title', 'menu': false});
+    await app.render();
+    assert.equal(window.document.title, 'Title');
+    assert.equal(app.scrollPositions.size, 0);
+});
+
+
+test('MarkdownUp, render resize', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+
+    // Patch window.addEventListener and window.removeEventListener
+    const eventListener = {'resize': null};
+    window.addEventListener = (type, callback) => {
+        eventListener[type] = callback;
+    };
+    window.removeEventListener = (type, callback) => {
+        assert.equal(type, 'resize');
+        assert.equal(callback, eventListener[type]);
+        eventListener[type] = null;
+    };
+
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+function main():
+    systemGlobalSet('count', count + 1)
+    markdownPrint('Hello ' + count)
+endfunction
+
+count = 0
+windowSetResize(main)
+main()
+~~~
+`
+    });
+    window.location.hash = '#';
+    await app.render();
+    assert.equal(typeof eventListener.resize, 'function');
+    assert.equal(typeof app.runtimeWindowResize, 'function');
+    assert.equal(window.document.title, '');
+    assert(window.document.body.innerHTML.endsWith('<p>Hello 1</p>'));
+
+    // Render again to test clearing the runtime resize event handler
+    window.location.hash = '#';
+    await app.render(true);
+    assert.equal(typeof eventListener.resize, 'function');
+    assert.equal(typeof app.runtimeWindowResize, 'function');
+    assert.equal(window.document.title, '');
+    assert(window.document.body.innerHTML.endsWith('<p>Hello 1</p>'));
+
+    // Call the resize callback
+    await eventListener.resize();
+    assert.equal(typeof eventListener.resize, 'function');
+    assert.equal(typeof app.runtimeWindowResize, 'function');
+    assert.equal(window.document.title, '');
+    assert(window.document.body.innerHTML.endsWith('<p>Hello 2</p>'));
+});
+
+
+test('MarkdownUp, render keydown', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+
+    // Patch window.document.addEventListener and window.document.removeEventListener
+    const eventListener = {'keydown': null};
+    window.document.addEventListener = (type, callback) => {
+        eventListener[type] = callback;
+    };
     window.document.removeEventListener = (type, callback) => {
         assert.equal(type, 'keydown');
         assert.equal(typeof callback, 'function');
@@ -985,6 +1938,165 @@ main({'key': 'A'})
 });
 
 
+test('MarkdownUp, run shortcuts', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+# Title
+
+~~~ markdown-script
+elementModelRender({'html': 'input', 'attr': {'id': 'input1', 'type': 'text'}})
+~~~
+`,
+        'darkMode': false
+    });
+    await app.run();
+    const keyDown = async (key, options = {}) => {
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', {key, ...options}));
+        await flushPromises();
+    };
+
+    // Local storage shortcuts
+    await keyDown('d');
+    await keyDown('s');
+    await keyDown('l');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('MarkdownUp')), {'darkMode': true, 'fontSize': 14, 'lineHeight': 1.5});
+    assert.equal(window.document.documentElement.style.colorScheme, 'dark');
+
+    // Session storage shortcuts
+    await keyDown('m');
+    await keyDown('b');
+    assert.deepEqual(JSON.parse(window.sessionStorage.getItem('MarkdownUp')), {'menu': 1, 'debug': 1});
+    assert.notEqual(window.document.querySelector('.menu'), null);
+
+    // Modifier keys are not shortcuts
+    await keyDown('m', {'ctrlKey': true});
+    await keyDown('m', {'metaKey': true});
+    assert.deepEqual(JSON.parse(window.sessionStorage.getItem('MarkdownUp')), {'menu': 1, 'debug': 1});
+
+    // The keyboard shortcuts overlay
+    await keyDown('?');
+    const overlay = window.document.querySelector('.menu-shortcuts');
+    assert.deepEqual(
+        Array.from(overlay.querySelectorAll('kbd')).map((kbd) => kbd.textContent),
+        ['m', 'v', 'd', 's', 'l', 'b', '?']
+    );
+    await keyDown('Escape');
+    assert.equal(window.document.querySelector('.menu-shortcuts'), null);
+    await keyDown('?');
+    await keyDown('?');
+    assert.equal(window.document.querySelector('.menu-shortcuts'), null);
+    await keyDown('?');
+    window.document.querySelector('.menu-shortcuts').click();
+    assert.equal(window.document.querySelector('.menu-shortcuts'), null);
+
+    // Shortcuts are ignored when an input element has focus
+    window.document.getElementById('input1').focus();
+    await keyDown('b');
+    assert.deepEqual(JSON.parse(window.sessionStorage.getItem('MarkdownUp')), {'menu': 1, 'debug': 1});
+    window.document.getElementById('input1').blur();
+
+    // View shortcut
+    await keyDown('v');
+    assert.equal(window.location.hash, '#view=markdown');
+});
+
+
+test('MarkdownUp, run menu keyboard', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello', 'darkMode': false});
+    await app.run();
+    const keyDown = async (element, key) => {
+        element.dispatchEvent(new window.KeyboardEvent('keydown', {key, 'bubbles': true}));
+        await flushPromises();
+    };
+
+    // The burger button
+    let burgerButton = window.document.querySelector('.menu-burger > div');
+    assert.equal(burgerButton.getAttribute('role'), 'button');
+    assert.equal(burgerButton.getAttribute('tabindex'), '0');
+    assert.equal(burgerButton.getAttribute('aria-label'), 'Menu');
+    assert.equal(burgerButton.getAttribute('aria-expanded'), 'false');
+    assert.equal(window.document.querySelector('.menu'), null);
+
+    // Open the menu with the keyboard - focus moves to the first menu button
+    burgerButton.focus();
+    await keyDown(burgerButton, 'Enter');
+    burgerButton = window.document.querySelector('.menu-burger > div');
+    assert.equal(burgerButton.getAttribute('aria-expanded'), 'true');
+    let menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(window.document.activeElement, menuButtons[0]);
+
+    // Activate the dark mode toggle with the space key - focus remains on the re-rendered button
+    assert.equal(menuButtons[3].getAttribute('aria-label'), 'Dark mode');
+    assert.equal(menuButtons[3].getAttribute('aria-pressed'), 'false');
+    menuButtons[3].focus();
+    await keyDown(menuButtons[3], ' ');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('MarkdownUp')), {'darkMode': true});
+    menuButtons = window.document.querySelectorAll('.menu > div');
+    assert.equal(menuButtons[3].getAttribute('aria-pressed'), 'true');
+    assert.equal(window.document.activeElement, menuButtons[3]);
+
+    // Other keys do nothing
+    await keyDown(menuButtons[3], 'x');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('MarkdownUp')), {'darkMode': true});
+
+    // Escape closes the menu - focus returns to the burger button
+    await keyDown(menuButtons[3], 'Escape');
+    assert.equal(window.document.querySelector('.menu'), null);
+    assert.equal(window.document.activeElement, window.document.querySelector('.menu-burger > div'));
+    assert.deepEqual(JSON.parse(window.sessionStorage.getItem('MarkdownUp')), {});
+
+    // Escape with the menu closed does nothing
+    await keyDown(window.document.body, 'Escape');
+    assert.equal(window.document.querySelector('.menu'), null);
+});
+
+
+test('MarkdownUp, run shortcuts document keydown', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+function onKeyDown(event):
+    markdownPrint('Key: ' + objectGet(event, 'key'))
+endfunction
+
+documentSetKeyDown(onKeyDown)
+markdownPrint('Hello')
+~~~
+`
+    });
+    await app.run();
+
+    // The document's keydown handler takes precedence over the keyboard shortcuts
+    window.document.dispatchEvent(new window.KeyboardEvent('keydown', {'key': 'm'}));
+    await flushPromises();
+    assert.equal(window.sessionStorage.getItem('MarkdownUp'), null);
+    assert.equal(window.document.body.querySelector('p').innerHTML, 'Key: m');
+});
+
+
+test('MarkdownUp, run shortcuts no menu', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello', 'menu': false});
+    await app.run();
+    window.document.dispatchEvent(new window.KeyboardEvent('keydown', {'key': 'm'}));
+    await flushPromises();
+    assert.equal(window.sessionStorage.getItem('MarkdownUp'), null);
+});
+
+
 test('MarkdownUp, render focus', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
     window.fetch = (url, options) => fetchSystem(null, url, options);
@@ -1238,6 +2350,121 @@ test('MarkdownUp.updateParams, invalid session/local storage', () => {
 });
 
 
+test('MarkdownUp.updateParams, typed params', () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const app = new MarkdownUp(window, {'paramsSchema': `\
+struct Params
+    optional date start
+    optional int(>= 1) count
+    optional Kind kind
+
+enum Kind
+    A
+    B
+`});
+    app.updateParams('param.start=2024-01-02&param.count=3&param.kind=B&param.other=x');
+    assert.deepEqual(app.params, {'param': {'start': '2024-01-02', 'count': '3', 'kind': 'B', 'other': 'x'}});
+    assert.equal(app.paramValues.start.getFullYear(), 2024);
+    assert.equal(app.paramValues.count, 3);
+    assert.equal(app.paramValues.kind, 'B');
+
+    // The members not declared by the application are validated by the document
+    assert(!('other' in app.paramValues));
+
+    // Invalid typed parameters
+    assert.throws(() => app.updateParams('param.count=0'), /count/);
+    assert.throws(() => app.updateParams('param.kind=C'), /kind/);
+});
+
+
+test('MarkdownUp, render typed params', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(`\
+---
+params:
+  count: optional int
+---
+~~~ markdown-script
+markdownPrint('Count: ' + objectGet(markdownUpParams, 'count') + ', kind: ' + objectGet(markdownUpParams, 'kind'))
+~~~
+`);
+        })};
+    };
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'paramsSchema': 'struct Params\n    optional Kind kind\n\nenum Kind\n    A\n    B\n'
+    });
+    window.location.hash = '#param.count=5&param.kind=B';
+    await app.render();
+    assert.equal(window.document.querySelector('.markdown-up-error'), null);
+    assert(window.document.body.innerHTML.endsWith('<p>Count: 5, kind: B</p>'));
+
+    // Invalid document typed parameter
+    window.location.hash = '#param.count=abc';
+    await app.render();
+    assert.notEqual(window.document.querySelector('.markdown-up-error'), null);
+
+    // Unknown typed parameter
+    window.location.hash = '#param.other=1';
+    await app.render();
+    assert.notEqual(window.document.querySelector('.markdown-up-error'), null);
+});
+
+
+test('MarkdownUp, run windowParamsSet', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'paramsSchema': 'struct Params\n    optional int count\n',
+        'markdownText': `\
+~~~ markdown-script
+function onClick():
+    windowParamsSet({'param': {'count': objectGet(markdownUpParams, 'count', 0) + 1}}, true)
+endfunction
+
+function onClickRender():
+    windowParamsSet({'param': null}, false, true)
+endfunction
+
+elementModelRender([ \\
+    {'html': 'span', 'attr': {'id': 'count'}, 'elem': {'text': 'Count ' + objectGet(markdownUpParams, 'count', 0)}, \\
+        'callback': {'click': onClick}}, \\
+    {'html': 'span', 'attr': {'id': 'reset'}, 'callback': {'click': onClickRender}} \\
+])
+~~~
+`
+    });
+    await app.run();
+    const {runtimeCount} = app;
+    assert.equal(window.document.getElementById('count').textContent, 'Count 0');
+
+    // Update the parameters without rendering
+    window.document.getElementById('count').click();
+    await flushPromises();
+    window.document.getElementById('count').click();
+    await flushPromises();
+    assert.equal(window.location.hash, '#param.count=2');
+    assert.deepEqual(app.params, {'param': {'count': '2'}});
+    assert.deepEqual(app.paramValues, {'count': 2});
+    assert.equal(app.runtimeCount, runtimeCount);
+    assert.equal(window.document.getElementById('count').textContent, 'Count 0');
+
+    // Update the parameters and render
+    window.document.getElementById('reset').click();
+    await flushPromises();
+    assert.equal(window.location.hash, '');
+    assert.deepEqual(app.params, {});
+    assert.equal(app.runtimeCount, runtimeCount + 1);
+});
+
+
 test('MarkdownUp.main, simple', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
     const fetchResolve = (url, options) => {
@@ -1263,6 +2490,8 @@ test('MarkdownUp.main, simple', async () => {
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -1317,6 +2546,8 @@ test('MarkdownUp.main, url', async () => {
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': 'url=sub%2Fother.md&_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -1400,6 +2631,130 @@ test('MarkdownUp.main, url', async () => {
 });
 
 
+test('MarkdownUp, path routing', () => {
+    const {window} = new JSDOM('', {'url': 'https://example.com/docs/sub/page.md?var.vName=1#section'});
+    const app = new MarkdownUp(window, {'routing': 'path', 'basePath': '/docs/'});
+    app.updateParams();
+    assert.deepEqual(app.params, {'url': 'sub/page.md', 'var': {'vName': '1'}});
+    assert.equal(app.getResourceURL(), 'sub/page.md');
+
+    // Hash URLs
+    assert.equal(app.modifyURL('#section'), '#section');
+    assert.equal(app.modifyURL('#url=other.md&section'), '/docs/sub/other.md?var.vName=1#section');
+    assert.equal(app.modifyURL('#url=https://foo.com/other.md'), '/docs/?url=https%3A%2F%2Ffoo.com%2Fother.md&var.vName=1');
+
+    // Relative and absolute URLs
+    assert.equal(app.modifyURL('image.png'), '/docs/sub/image.png');
+    assert.equal(app.modifyURL('https://foo.com/image.png'), 'https://foo.com/image.png');
+
+    // Parameter URLs
+    assert.equal(app.getParamsURL({}), '/docs/');
+    assert.equal(app.getParamsURL({'view': 'toc'}, 'section'), '/docs/?view=toc#section');
+
+    // Locations outside the base path are the default resource
+    window.history.replaceState(null, '', '/other/page.md?view=toc');
+    app.updateParams();
+    assert.deepEqual(app.params, {'view': 'toc'});
+    assert.equal(app.getResourceURL(), 'README.md');
+});
+
+
+// Path routing fetch function - documents are fetched from "/docs/"
+const pathRoutingFetch = (fetchURLs) => (url, options) => {
+    if (url.startsWith(fetchSystemPrefix)) {
+        return fetchSystem(null, url, options);
+    }
+    fetchURLs.push(url);
+    const text = url === '/docs/README.md' ? '# Home\n\n[Other](#url=other.md)\n\n[File](file.txt)' : '# Other';
+    return {'ok': true, 'text': () => new Promise((resolve) => {
+        resolve(text);
+    })};
+};
+
+
+test('MarkdownUp, run path routing', async () => {
+    const {window} = new JSDOM('', {'url': 'https://example.com/app/'});
+    const fetchURLs = [];
+    window.fetch = pathRoutingFetch(fetchURLs);
+    const appOptions = {'systemPrefix': fetchSystemPrefix, 'routing': 'path', 'basePath': '/app/', 'docsPath': '/docs/'};
+    const app = new MarkdownUp(window, appOptions);
+    await app.run();
+    assert.deepEqual(fetchURLs, ['/docs/README.md']);
+    assert.equal(window.document.title, 'Home');
+
+    // Only application route links are rendered without reloading the page
+    assert(app.routeURLs.has('https://example.com/app/other.md'));
+    assert(!app.routeURLs.has('https://example.com/docs/file.txt'));
+    assert.equal(window.document.querySelector('a[href="/docs/file.txt"]').textContent, 'File');
+
+    // Click an application route link - the route is under the base path and the document is fetched from the docs path
+    window.document.querySelector('a[href="/app/other.md"]').click();
+    await flushPromises();
+    assert.equal(window.location.pathname, '/app/other.md');
+    assert.deepEqual(fetchURLs, ['/docs/README.md', '/docs/other.md']);
+    assert.equal(window.document.title, 'Other');
+
+    // Reload the page
+    const {'window': windowReload} = new JSDOM('', {'url': window.location.href});
+    const fetchURLsReload = [];
+    windowReload.fetch = pathRoutingFetch(fetchURLsReload);
+    await new MarkdownUp(windowReload, appOptions).run();
+    assert.equal(windowReload.location.pathname, '/app/other.md');
+    assert.deepEqual(fetchURLsReload, ['/docs/other.md']);
+    assert.equal(windowReload.document.title, 'Other');
+
+    // History navigation
+    window.history.back();
+    await flushPromises();
+    assert.equal(window.location.pathname, '/app/');
+    assert.equal(window.document.title, 'Home');
+});
+
+
+test('MarkdownUp, run path routing deep link', async () => {
+    const {window} = new JSDOM('', {'url': 'https://example.com/app/sub/other.md?var.vName=1'});
+    const fetchURLs = [];
+    window.fetch = pathRoutingFetch(fetchURLs);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'routing': 'path', 'basePath': '/app/', 'docsPath': '/docs/'});
+    await app.run();
+    assert.deepEqual(app.params, {'url': 'sub/other.md', 'var': {'vName': '1'}});
+    assert.deepEqual(fetchURLs, ['/docs/sub/other.md']);
+    assert.equal(window.document.title, 'Other');
+    assert.equal(app.modifyURL('image.png'), '/docs/sub/image.png');
+    assert.equal(app.modifyURL('#url=next.md'), '/app/sub/next.md?var.vName=1');
+});
+
+
+test('MarkdownUp, render path routing toc sidebar current section', async () => {
+    const {window} = new JSDOM('', {'url': 'https://example.com/docs/page.md?var.vName=1'});
+    window.sessionStorage.setItem('MarkdownUp', '{"toc": 1}');
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        assert.equal(url, '/docs/page.md');
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve('# Title\n\n## Section');
+        })};
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'routing': 'path', 'basePath': '/docs/'});
+    await app.render();
+    const [titleLink, sectionLink] = window.document.querySelectorAll('.menu-toc a');
+    assert.equal(titleLink.getAttribute('href'), '/docs/page.md?var.vName=1#title');
+    assert.equal(titleLink.dataset.headerId, 'title');
+    assert.equal(sectionLink.dataset.headerId, 'section');
+    assert.notEqual(window.document.getElementById('section'), null);
+    assert.equal(titleLink.className, '');
+    assert.equal(sectionLink.className, 'menu-toc-current');
+
+    // Scroll such that only the title is above the current section offset
+    window.document.getElementById('section').getBoundingClientRect = () => ({'top': 100});
+    app.tocUpdateCurrent();
+    assert.equal(titleLink.className, 'menu-toc-current');
+    assert.equal(sectionLink.className, '');
+});
+
+
 test('MarkdownUp.main, markdownText url override', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
     const fetchResolve = (url, options) => {
@@ -1425,6 +2780,8 @@ test('MarkdownUp.main, markdownText url override', async () => {
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': 'url=other.md&_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -1452,6 +2809,8 @@ test('MarkdownUp.main, markdownText url override empty', async () => {
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': 'url=&_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -1498,6 +2857,8 @@ Code
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -1545,18 +2906,753 @@ Code
 });
 
 
-test('MarkdownUp.main, fontSize', async () => {
+test('MarkdownUp.main, fontSize', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+markdownPrint('fontSize = ' + numberToFixed(documentFontSize()))
+~~~
+`
+    });
+    app.updateParams(null, '{"fontSize": 14}');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': null,
+            'elements': [
+                [
+                    [
+                        menuBurgerElements(),
+                        null,
+                        null,
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                [
+                    [
+                        [
+                            {'html': 'p', 'elem': [{'text': 'fontSize = 18.67'}]}
+                        ]
+                    ]
+                ]
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, fetch script', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        assert.equal(url, 'README.md');
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve('# Hello');
+        })};
+    };
+    window.fetch = (url) => new Promise((resolve) => {
+        resolve(fetchResolve(url));
+    });
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+markdownPrint(systemFetch('README.md'))
+~~~
+`
+    });
+    app.updateParams('');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': null,
+            'elements': [
+                [
+                    [
+                        menuBurgerElements(),
+                        null,
+                        null,
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                [
+                    [
+                        [
+                            {
+                                'html': 'h1',
+                                'attr': {'id': 'hello'},
+                                'elem': [{'text': 'Hello'}]
+                            }
+                        ]
+                    ]
+                ]
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, fetch error', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        assert.equal(url, 'README.md');
+        return {'ok': false, 'status': 404, 'statusText': 'Not Found'};
+    };
+    window.fetch = (url) => new Promise((resolve) => {
+        resolve(fetchResolve(url));
+    });
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    app.updateParams('');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': 'MarkdownUp',
+            'elements': [
+                [
+                    [
+                        menuBurgerElements(),
+                        null,
+                        null,
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                {
+                    'html': 'div',
+                    'attr': {'class': 'markdown-up-error'},
+                    'elem': [
+                        {'html': 'p', 'elem': {'text': 'Error: Could not fetch "README.md" - "Not Found"'}},
+                        {
+                            'html': 'p',
+                            'elem': [
+                                {'html': 'strong', 'elem': {'text': 'Status:'}},
+                                {'text': ' 404 Not Found'}
+                            ]
+                        },
+                        {
+                            'html': 'p',
+                            'elem': [
+                                {'html': 'strong', 'elem': {'text': 'URL:'}},
+                                {'text': ' https://github.com/craigahobbs/README.md'}
+                            ]
+                        },
+                        {
+                            'html': 'p',
+                            'elem': [
+                                [
+                                    {'html': 'a', 'attr': {'href': '#'}, 'elem': {'text': 'Retry'}},
+                                    {'text': ' | '}
+                                ],
+                                {'html': 'a', 'attr': {'href': '#'}, 'elem': {'text': 'Back'}}
+                            ]
+                        }
+                    ]
+                }
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, fetch error no status text', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        assert.equal(url, 'README.md');
+        return {'ok': false, 'statusText': ''};
+    };
+    window.fetch = (url) => new Promise((resolve) => {
+        resolve(fetchResolve(url));
+    });
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'menu': false});
+    app.updateParams('');
+    const result = await app.main();
+    assert.equal(result.title, 'MarkdownUp');
+    assert.deepEqual(result.elements[1].elem[0], {'html': 'p', 'elem': {'text': 'Error: Could not fetch "README.md"'}});
+    assert.equal(result.elements[1].elem[1], null);
+});
+
+
+test('MarkdownUp.main, fetch exception', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        throw new Error('Network error');
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'menu': false});
+    app.updateParams('');
+    const result = await app.main();
+    assert.equal(result.title, 'MarkdownUp');
+    assert.deepEqual(result.elements[1].elem[0], {'html': 'p', 'elem': {'text': 'Error: Could not fetch "README.md" - "Network error"'}});
+});
+
+
+test('MarkdownUp, render fetch error retry', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    let fetchCount = 0;
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        fetchCount += 1;
+        if (fetchCount === 1) {
+            return {'ok': false, 'status': 500, 'statusText': 'Internal Server Error'};
+        }
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve('# Hello');
+        })};
+    };
+    window.location.hash = '#';
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    await app.render();
+    assert.equal(window.document.title, 'MarkdownUp');
+
+    // Click the Retry link
+    const [retryLink] = window.document.querySelectorAll('.markdown-up-error a');
+    assert.equal(retryLink.innerHTML, 'Retry');
+    retryLink.click();
+    await flushPromises();
+    assert.equal(window.document.title, 'Hello');
+    assert.equal(window.document.querySelector('.markdown-up-error'), null);
+});
+
+
+test('MarkdownUp.main, front matter', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchURLs = [];
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        fetchURLs.push(url);
+        if (url === 'docs/util.bare') {
+            return {'ok': true, 'text': () => new Promise((resolve) => {
+                resolve('function utilHello(name):\n    return "Hello, " + name\nendfunction\n');
+            })};
+        }
+        assert.equal(url, 'docs/page.md');
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(`\
+---
+# The document settings
+title: "The Title"
+fontSize: 18
+menu: false
+var:
+  vName: 'World'
+  vCount: 1 + 2
+includes:
+  - <args.bare>
+  - util.bare
+---
+# Page
+
+~~~ markdown-script
+markdownPrint(utilHello(vName) + ' ' + vCount + ' ' + documentFontSize())
+~~~
+`);
+        })};
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    app.updateParams('url=docs/page.md&var.vCount=5');
+    const result = await app.main();
+    assert.deepEqual(fetchURLs, ['docs/page.md', 'docs/util.bare']);
+    assert.deepEqual(app.frontMatter, {
+        'title': 'The Title',
+        'fontSize': 18,
+        'menu': false,
+        'var': {'vName': "'World'", 'vCount': '1 + 2'},
+        'includes': ['<args.bare>', 'util.bare']
+    });
+    assert.equal(app.getSetting('fontSize'), 18);
+    assert.equal(app.getSetting('lineHeight'), 1.3);
+    assert.deepEqual(
+        deleteElementCallbacks(result),
+        {
+            'title': 'The Title',
+            'elements': [
+                [
+                    null,
+                    {
+                        'html': 'div',
+                        'attr': {'id': 'url=docs%2Fpage.md&var.vCount=5&_top', 'style': 'display=none; position: absolute; top: 0;'}
+                    }
+                ],
+                [
+                    {'html': 'h1', 'attr': {'id': 'url=docs%2Fpage.md&var.vCount=5&page'}, 'elem': [{'text': 'Page'}]},
+                    [[{'html': 'p', 'elem': [{'text': 'Hello, World 5 24'}]}]]
+                ]
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, front matter invalid', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'menu': false,
+        'markdownText': '---\nfontSize: big\n---\n# Hello\n'
+    });
+    app.updateParams('');
+    let result = await app.main();
+    assert.equal(result.title, 'MarkdownUp');
+    assert.deepEqual(app.frontMatter, {});
+    assert.match(result.elements[1].elem[0].elem.text, /^Error: Invalid front matter - Invalid value "big"/);
+
+    // Syntax error
+    app.markdownText = '---\ntitle: Hello\n  - item\n---\n# Hello\n';
+    result = await app.main();
+    assert.deepEqual(
+        result.elements[1].elem[0],
+        {'html': 'p', 'elem': {'text': 'Error: Invalid front matter - Unexpected indentation on line 3'}}
+    );
+
+    // Unterminated front matter is Markdown
+    app.markdownText = '---\ntitle: Hello\n';
+    result = await app.main();
+    assert.equal(result.title, null);
+    assert.deepEqual(app.frontMatter, {});
+});
+
+
+test('MarkdownUp.main, front matter thematic break', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'menu': false,
+        'markdownText': '---\n\nHello\n\n---\n\nGoodbye\n'
+    });
+    app.updateParams('');
+    const result = await app.main();
+    assert.deepEqual(app.frontMatter, {});
+    assert.deepEqual(result.elements[1], [
+        {'html': 'hr'},
+        {'html': 'p', 'elem': [{'text': 'Hello'}]},
+        {'html': 'hr'},
+        {'html': 'p', 'elem': [{'text': 'Goodbye'}]}
+    ]);
+});
+
+
+test('MarkdownUp, render front matter', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const documentElementStyleSetPropertyCalls = [];
+    window.document.documentElement.style.setProperty = (prop, val) => documentElementStyleSetPropertyCalls.push([prop, val]);
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': '---\ndarkMode: true\nfontSize: 14\nlineHeight: 1.5\n---\n# Hello\n',
+        'darkMode': false
+    });
+    await app.render();
+    assert.equal(window.document.title, 'Hello');
+    assert.equal(window.document.documentElement.style.colorScheme, 'dark');
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '14pt'],
+        ['--barescript-line-height', '1.5em'],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
+    ]);
+
+    // Local storage settings take precedence over the front matter
+    window.localStorage.setItem('MarkdownUp', '{"darkMode": false, "fontSize": 10}');
+    documentElementStyleSetPropertyCalls.length = 0;
+    await app.render(true);
+    assert.equal(window.document.documentElement.style.colorScheme, 'light');
+    assert.deepEqual(documentElementStyleSetPropertyCalls, [
+        ['--barescript-font-size', '10pt'],
+        ['--barescript-line-height', '1.5em'],
+        ['--markdown-up-font-family', fontFamilySans],
+        ['--markdown-up-content-width', '100%']
+    ]);
+});
+
+
+test('MarkdownUp, render locale', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    Object.defineProperty(window.navigator, 'languages', {'value': ['fr-CA', 'en']});
+    window.location.hash = '#view=bad';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': 'Hello',
+        'menu': false,
+        'messages': {
+            'fr': {'errorMessage': 'Erreur : {message}', 'errorBack': 'Retour'}
+        }
+    });
+    assert.equal(app.localeMessagesLocale, 'fr-CA');
+    await app.render();
+    assert.equal(window.document.documentElement.lang, 'fr-CA');
+    assert.equal(window.document.documentElement.dir, 'ltr');
+    assert.match(window.document.querySelector('.markdown-up-error p').textContent, /^Erreur : /);
+    assert.equal(window.document.querySelector('.markdown-up-error a').textContent, 'Retour');
+});
+
+
+test('MarkdownUp, render locale right-to-left', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello', 'locale': 'ar-EG'});
+    await app.render();
+    assert.equal(app.localeMessagesLocale, 'en');
+    assert.equal(window.document.documentElement.lang, 'ar-EG');
+    assert.equal(window.document.documentElement.dir, 'rtl');
+
+    // The language and text direction options take precedence over the locale
+    app.lang = 'en';
+    await app.render(true);
+    assert.equal(window.document.documentElement.lang, 'en');
+    assert.equal(window.document.documentElement.dir, 'ltr');
+    app.dir = 'rtl';
+    await app.render(true);
+    assert.equal(window.document.documentElement.lang, 'en');
+    assert.equal(window.document.documentElement.dir, 'rtl');
+
+    // The front matter language and text direction take precedence over the options
+    app.markdownText = '---\nlang: he\n---\n# Hello\n';
+    app.dir = null;
+    await app.render(true);
+    assert.equal(window.document.documentElement.lang, 'he');
+    assert.equal(window.document.documentElement.dir, 'rtl');
+    app.markdownText = '---\nlang: he\ndir: ltr\n---\n# Hello\n';
+    await app.render(true);
+    assert.equal(window.document.documentElement.lang, 'he');
+    assert.equal(window.document.documentElement.dir, 'ltr');
+});
+
+
+test('MarkdownUp.main, fetch error not found URL', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchURLs = [];
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        fetchURLs.push(url);
+        if (url === '404.md') {
+            return {'ok': true, 'text': () => new Promise((resolve) => {
+                resolve(`\
+# Not Found
+
+~~~ markdown-script
+markdownPrint(objectGet(markdownUpError, 'url') + ' - ' + objectGet(markdownUpError, 'status'))
+~~~
+`);
+            })};
+        }
+        return {'ok': false, 'status': 404, 'statusText': 'Not Found'};
+    };
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'menu': false,
+        'notFoundURL': '404.md',
+        'errorMarkdown': '# Error'
+    });
+
+    // Not found - the not found document is rendered
+    app.updateParams('url=missing.md');
+    let result = await app.main();
+    assert.deepEqual(fetchURLs, ['missing.md', '404.md']);
+    assert.equal(result.title, 'Not Found');
+    assert.deepEqual(deleteElementCallbacks(result.elements[1]), [
+        {'html': 'h1', 'attr': {'id': 'url=missing.md&not-found'}, 'elem': [{'text': 'Not Found'}]},
+        [[{'html': 'p', 'elem': [{'text': 'missing.md - 404'}]}]]
+    ]);
+
+    // Other errors - the error Markdown is rendered
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        return {'ok': false, 'status': 500, 'statusText': 'Internal Server Error'};
+    };
+    result = await app.main();
+    assert.equal(result.title, 'Error');
+});
+
+
+test('MarkdownUp.main, document cache', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const fetchCalls = [];
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        assert.equal(url, 'README.md');
+        fetchCalls.push(options.headers);
+        if (options.headers['If-None-Match'] === '"v1"') {
+            return {'ok': false, 'status': 304, 'statusText': 'Not Modified'};
+        }
+        return {
+            'ok': true,
+            'status': 200,
+            'headers': {'get': (name) => ({'ETag': '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 12:00:00 GMT'})[name] ?? null},
+            'text': () => new Promise((resolve) => {
+                resolve('# Hello');
+            })
+        };
+    };
+    window.fetch = (url, options) => new Promise((resolve) => {
+        resolve(fetchResolve(url, options));
+    });
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    const expected = {
+        'title': 'Hello',
+        'elements': [
+            [
+                [
+                    menuBurgerElements(),
+                    null,
+                    null,
+                    null
+                ],
+                {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+            ],
+            [
+                {'html': 'h1', 'attr': {'id': 'hello'}, 'elem': [{'text': 'Hello'}]}
+            ]
+        ]
+    };
+
+    // Fetch the document
+    app.updateParams('');
+    assert.deepEqual(deleteElementCallbacks(await app.main()), expected);
+    assert.deepEqual(fetchCalls, [{}]);
+    const cacheEntry = app.documentCache.get('https://github.com/craigahobbs/README.md');
+    assert.equal(cacheEntry.text, '# Hello');
+    assert.equal(cacheEntry.etag, '"v1"');
+    assert.equal(cacheEntry.lastModified, 'Mon, 19 Oct 2026 12:00:00 GMT');
+    assert.notEqual(cacheEntry.model, null);
+    const {model} = cacheEntry;
+
+    // Fetch the document again - revalidated with a conditional request
+    app.updateParams('');
+    assert.deepEqual(deleteElementCallbacks(await app.main()), expected);
+    assert.deepEqual(fetchCalls, [
+        {},
+        {'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 19 Oct 2026 12:00:00 GMT'}
+    ]);
+    assert.equal(app.documentCache.get('https://github.com/craigahobbs/README.md').model, model);
+});
+
+
+test('MarkdownUp.main, document cache TTL', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    let fetchCount = 0;
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        fetchCount += 1;
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(`# ${url}`);
+        })};
+    };
+    window.fetch = (url, options) => new Promise((resolve) => {
+        resolve(fetchResolve(url, options));
+    });
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'cacheSize': 1, 'cacheTTL': 60000});
+
+    // Fetch the document
+    app.updateParams('');
+    assert.equal((await app.main()).title, 'README.md');
+    assert.equal(fetchCount, 1);
+
+    // The document is cached
+    app.updateParams('');
+    assert.equal((await app.main()).title, 'README.md');
+    assert.equal(fetchCount, 1);
+
+    // Fetch another document, evicting the first
+    app.updateParams('url=other.md');
+    assert.equal((await app.main()).title, 'other.md');
+    assert.equal(fetchCount, 2);
+    assert.deepEqual(Array.from(app.documentCache.keys()), ['https://github.com/craigahobbs/other.md']);
+
+    // The evicted document is fetched again
+    app.updateParams('');
+    assert.equal((await app.main()).title, 'README.md');
+    assert.equal(fetchCount, 3);
+});
+
+
+test('MarkdownUp.main, document cache session', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    let fetchCount = 0;
+    const fetchResolve = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        fetchCount += 1;
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve('# Hello');
+        })};
+    };
+    window.fetch = (url, options) => new Promise((resolve) => {
+        resolve(fetchResolve(url, options));
+    });
+
+    // Fetch the document
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'cacheSession': true, 'cacheTTL': 60000});
+    app.updateParams('');
+    assert.equal((await app.main()).title, 'Hello');
+    assert.equal(fetchCount, 1);
+    const cache = JSON.parse(window.sessionStorage.getItem('MarkdownUpCache'));
+    assert.deepEqual(Object.keys(cache.entries[0]).sort(), ['text', 'time', 'url']);
+    assert.equal(cache.entries[0].url, 'https://github.com/craigahobbs/README.md');
+
+    // A new application instance uses the session storage document cache
+    const app2 = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'cacheSession': true, 'cacheTTL': 60000});
+    app2.updateParams('');
+    assert.equal((await app2.main()).title, 'Hello');
+    assert.equal(fetchCount, 1);
+
+    // Invalid session storage document cache is ignored
+    window.sessionStorage.setItem('MarkdownUpCache', 'BAD');
+    const app3 = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'cacheSession': true, 'cacheTTL': 60000});
+    app3.updateParams('');
+    assert.equal((await app3.main()).title, 'Hello');
+    assert.equal(fetchCount, 2);
+});
+
+
+test('MarkdownUp.main, no title', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
+    app.updateParams('');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': null,
+            'elements': [
+                [
+                    [
+                        menuBurgerElements(),
+                        null,
+                        null,
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                [
+                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
+                ]
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, menu', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
+    app.updateParams('', null, '{"menu": 1}');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': null,
+            'elements': [
+                [
+                    [
+                        menuBurgerElements({'expanded': true}),
+                        menuElements(),
+                        null,
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                [
+                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
+                ]
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, no menu', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello', 'menu': false});
+    app.updateParams('', null, '{"menu": 1}');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': null,
+            'elements': [
+                [
+                    null,
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                [
+                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
+                ]
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, menu cycle and toggle', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
+    app.updateParams('view=markdown', '{"fontSize": 18}', '{"menu": 1}');
+    assert.deepEqual(
+        deleteElementCallbacks(await app.main()),
+        {
+            'title': null,
+            'elements': [
+                [
+                    [
+                        menuBurgerElements({'expanded': true}),
+                        menuElements({'fontSizeText': '18pt', 'viewMarkdown': true}),
+                        null,
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': 'view=markdown&_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                {'html': 'div', 'attr': {'class': 'markdown'}, 'elem': {'text': 'Hello'}}
+            ]
+        }
+    );
+});
+
+
+test('MarkdownUp.main, markdown', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
     window.fetch = (url, options) => fetchSystem(null, url, options);
-    const app = new MarkdownUp(window, {
-        'systemPrefix': fetchSystemPrefix,
-        'markdownText': `\
-~~~ markdown-script
-markdownPrint('fontSize = ' + numberToFixed(documentFontSize()))
-~~~
-`
-    });
-    app.updateParams(null, '{"fontSize": 14}');
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
+    app.updateParams('view=markdown', null, null);
     assert.deepEqual(
         deleteElementCallbacks(await app.main()),
         {
@@ -1565,212 +3661,482 @@ markdownPrint('fontSize = ' + numberToFixed(documentFontSize()))
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
-                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                    {'html': 'div', 'attr': {'id': 'view=markdown&_top', 'style': 'display=none; position: absolute; top: 0;'}}
                 ],
-                [
-                    [
-                        [
-                            {'html': 'p', 'elem': [{'text': 'fontSize = 18.67'}]}
-                        ]
-                    ]
-                ]
+                {'html': 'div', 'attr': {'class': 'markdown'}, 'elem': {'text': 'Hello'}}
             ]
         }
     );
 });
 
 
-test('MarkdownUp.main, fetch script', async () => {
+test('MarkdownUp.main, toc', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-    const fetchResolve = (url, options) => {
-        if (url.startsWith(fetchSystemPrefix)) {
-            return fetchSystem(null, url, options);
-        }
-
-        assert.equal(url, 'README.md');
-        return {'ok': true, 'text': () => new Promise((resolve) => {
-            resolve('# Hello');
-        })};
-    };
-    window.fetch = (url) => new Promise((resolve) => {
-        resolve(fetchResolve(url));
-    });
+    window.fetch = (url, options) => fetchSystem(null, url, options);
     const app = new MarkdownUp(window, {
         'systemPrefix': fetchSystemPrefix,
         'markdownText': `\
-~~~ markdown-script
-markdownPrint(systemFetch('README.md'))
-~~~
+# Title
+
+## Section *One*
+
+### Sub-section
+
+## Section Two
+
+> ## Quoted
+
+#### Deep
+
+# Title
 `
     });
-    app.updateParams('');
+    app.updateParams('url=&view=toc', null, '{"toc": 1}');
     assert.deepEqual(
         deleteElementCallbacks(await app.main()),
         {
-            'title': null,
+            'title': 'Title',
             'elements': [
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
-                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                    {'html': 'div', 'attr': {'id': 'url=&view=toc&_top', 'style': 'display=none; position: absolute; top: 0;'}}
                 ],
-                [
-                    [
-                        [
+                {
+                    'html': 'div',
+                    'attr': {'class': 'toc'},
+                    'elem': {
+                        'html': 'ul',
+                        'elem': [
                             {
-                                'html': 'h1',
-                                'attr': {'id': 'hello'},
-                                'elem': [{'text': 'Hello'}]
+                                'html': 'li',
+                                'elem': [
+                                    {
+                                        'html': 'a',
+                                        'attr': {'href': '#url=&title', 'data-header-id': 'url=&view=toc&title'},
+                                        'elem': {'text': 'Title'}
+                                    },
+                                    {
+                                        'html': 'ul',
+                                        'elem': [
+                                            {
+                                                'html': 'li',
+                                                'elem': [
+                                                    {
+                                                        'html': 'a',
+                                                        'attr': {
+                                                            'href': '#url=&section-one',
+                                                            'data-header-id': 'url=&view=toc&section-one'
+                                                        },
+                                                        'elem': {'text': 'Section One'}
+                                                    },
+                                                    {
+                                                        'html': 'ul',
+                                                        'elem': [
+                                                            {
+                                                                'html': 'li',
+                                                                'elem': [
+                                                                    {
+                                                                        'html': 'a',
+                                                                        'attr': {
+                                                                            'href': '#url=&sub-section',
+                                                                            'data-header-id': 'url=&view=toc&sub-section'
+                                                                        },
+                                                                        'elem': {'text': 'Sub-section'}
+                                                                    }
+                                                                ]
+                                                            }
+                                                        ]
+                                                    }
+                                                ]
+                                            },
+                                            {
+                                                'html': 'li',
+                                                'elem': [
+                                                    {
+                                                        'html': 'a',
+                                                        'attr': {
+                                                            'href': '#url=&section-two',
+                                                            'data-header-id': 'url=&view=toc&section-two'
+                                                        },
+                                                        'elem': {'text': 'Section Two'}
+                                                    }
+                                                ]
+                                            },
+                                            {
+                                                'html': 'li',
+                                                'elem': [
+                                                    {
+                                                        'html': 'a',
+                                                        'attr': {'href': '#url=&quoted', 'data-header-id': 'url=&view=toc&quoted'},
+                                                        'elem': {'text': 'Quoted'}
+                                                    },
+                                                    {
+                                                        'html': 'ul',
+                                                        'elem': [
+                                                            {
+                                                                'html': 'li',
+                                                                'elem': [
+                                                                    {
+                                                                        'html': 'a',
+                                                                        'attr': {
+                                                                            'href': '#url=&deep',
+                                                                            'data-header-id': 'url=&view=toc&deep'
+                                                                        },
+                                                                        'elem': {'text': 'Deep'}
+                                                                    }
+                                                                ]
+                                                            }
+                                                        ]
+                                                    }
+                                                ]
+                                            }
+                                        ]
+                                    }
+                                ]
+                            },
+                            {
+                                'html': 'li',
+                                'elem': [
+                                    {
+                                        'html': 'a',
+                                        'attr': {'href': '#url=&title2', 'data-header-id': 'url=&view=toc&title2'},
+                                        'elem': {'text': 'Title'}
+                                    }
+                                ]
                             }
                         ]
-                    ]
-                ]
+                    }
+                }
             ]
         }
     );
 });
 
 
-test('MarkdownUp.main, fetch error', async () => {
+test('MarkdownUp.main, toc sidebar', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-    const fetchResolve = (url, options) => {
-        if (url.startsWith(fetchSystemPrefix)) {
-            return fetchSystem(null, url, options);
-        }
-
-        assert.equal(url, 'README.md');
-        return {'ok': false, 'statusText': 'Not Found'};
-    };
-    window.fetch = (url) => new Promise((resolve) => {
-        resolve(fetchResolve(url));
-    });
-    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
-    app.updateParams('');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Title\n\n## Section'});
+    app.updateParams('', null, '{"menu": 1, "toc": 1}');
     assert.deepEqual(
         deleteElementCallbacks(await app.main()),
         {
-            'title': 'MarkdownUp',
-            'elements': {
-                'html': 'p',
-                'elem': {'text': 'Error: Could not fetch "README.md" - "Not Found"'}
-            }
+            'title': 'Title',
+            'elements': [
+                [
+                    [
+                        menuBurgerElements({'expanded': true}),
+                        menuElements({'toc': true}),
+                        {
+                            'html': 'div',
+                            'attr': {'class': 'menu-toc'},
+                            'elem': {
+                                'html': 'ul',
+                                'elem': [
+                                    {
+                                        'html': 'li',
+                                        'elem': [
+                                            {'html': 'a', 'attr': {'href': '#title', 'data-header-id': 'title'}, 'elem': {'text': 'Title'}},
+                                            {
+                                                'html': 'ul',
+                                                'elem': [
+                                                    {
+                                                        'html': 'li',
+                                                        'elem': [
+                                                            {
+                                                                'html': 'a',
+                                                                'attr': {'href': '#section', 'data-header-id': 'section'},
+                                                                'elem': {'text': 'Section'}
+                                                            }
+                                                        ]
+                                                    }
+                                                ]
+                                            }
+                                        ]
+                                    }
+                                ]
+                            }
+                        },
+                        null
+                    ],
+                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                ],
+                [
+                    {'html': 'h1', 'attr': {'id': 'title'}, 'elem': [{'text': 'Title'}]},
+                    {'html': 'h2', 'attr': {'id': 'section'}, 'elem': [{'text': 'Section'}]}
+                ]
+            ]
         }
     );
 });
 
 
-test('MarkdownUp.main, fetch error no status text', async () => {
+test('MarkdownUp, render toc sidebar current section', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-    const fetchResolve = (url, options) => {
+    window.location.hash = '#';
+    window.sessionStorage.setItem('MarkdownUp', '{"toc": 1}');
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Title\n\n## Section'});
+    await app.render();
+    const [titleLink, sectionLink] = window.document.querySelectorAll('.menu-toc a');
+    assert.equal(titleLink.className, '');
+    assert.equal(sectionLink.className, 'menu-toc-current');
+
+    // Scroll such that only the title is above the current section offset
+    window.document.getElementById('section').getBoundingClientRect = () => ({'top': 100});
+    app.tocUpdateCurrent();
+    assert.equal(titleLink.className, 'menu-toc-current');
+    assert.equal(sectionLink.className, '');
+});
+
+
+test('MarkdownUp, render toc sidebar current section hash parameters', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#url=doc.md';
+    window.sessionStorage.setItem('MarkdownUp', '{"toc": 1}');
+    window.fetch = (url, options) => {
         if (url.startsWith(fetchSystemPrefix)) {
             return fetchSystem(null, url, options);
         }
-
-        assert.equal(url, 'README.md');
-        return {'ok': false, 'statusText': ''};
+        assert.equal(url, 'doc.md');
+        return new Promise((resolve) => {
+            resolve({
+                'ok': true,
+                'status': 200,
+                'headers': {'get': () => null},
+                'text': () => new Promise((resolveText) => {
+                    resolveText('# Title\n\n## Section');
+                })
+            });
+        });
     };
-    window.fetch = (url) => new Promise((resolve) => {
-        resolve(fetchResolve(url));
-    });
     const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
-    app.updateParams('');
-    assert.deepEqual(
-        deleteElementCallbacks(await app.main()),
-        {
-            'title': 'MarkdownUp',
-            'elements': {
-                'html': 'p',
-                'elem': {'text': 'Error: Could not fetch "README.md"'}
-            }
-        }
-    );
+    await app.render();
+    const [titleLink, sectionLink] = window.document.querySelectorAll('.menu-toc a');
+    assert.equal(titleLink.getAttribute('href'), '#url=doc.md&title');
+    assert.equal(titleLink.dataset.headerId, 'url=doc.md&title');
+    assert.equal(sectionLink.dataset.headerId, 'url=doc.md&section');
+    assert.equal(titleLink.className, '');
+    assert.equal(sectionLink.className, 'menu-toc-current');
+
+    // Scroll such that only the title is above the current section offset
+    window.document.getElementById('url=doc.md&section').getBoundingClientRect = () => ({'top': 100});
+    app.tocUpdateCurrent();
+    assert.equal(titleLink.className, 'menu-toc-current');
+    assert.equal(sectionLink.className, '');
 });
 
 
-test('MarkdownUp.main, no title', async () => {
+test('MarkdownUp.main, book', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-    window.fetch = (url, options) => fetchSystem(null, url, options);
-    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
-    app.updateParams('');
+    const fetchURLs = [];
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        fetchURLs.push(url);
+        const text = url === 'book/SUMMARY.md' ? `\
+# Summary
+
+- [Introduction](intro.md)
+- [Chapter 1](chapter1.md "The first chapter")
+  - [Section 1.1](section1.md)
+- [Appendix](https://foo.com/appendix.md)
+` : '# Chapter 1';
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(text);
+        })};
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'book': 'book/SUMMARY.md'});
+    app.updateParams('url=book%2Fchapter1.md');
     assert.deepEqual(
         deleteElementCallbacks(await app.main()),
         {
-            'title': null,
+            'title': 'Chapter 1',
             'elements': [
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        {
+                            'html': 'div',
+                            'attr': {'class': 'menu-toc'},
+                            'elem': {
+                                'html': 'nav',
+                                'attr': {'aria-label': 'Chapters'},
+                                'elem': {
+                                    'html': 'ul',
+                                    'attr': {'class': 'menu-book'},
+                                    'elem': [
+                                        {
+                                            'html': 'li',
+                                            'elem': [
+                                                {'html': 'a', 'attr': {'href': '#url=book%2Fintro.md'}, 'elem': {'text': 'Introduction'}},
+                                                null
+                                            ]
+                                        },
+                                        {
+                                            'html': 'li',
+                                            'elem': [
+                                                {
+                                                    'html': 'a',
+                                                    'attr': {
+                                                        'href': '#url=book%2Fchapter1.md',
+                                                        'class': 'menu-book-current',
+                                                        'aria-current': 'page'
+                                                    },
+                                                    'elem': {'text': 'Chapter 1'}
+                                                },
+                                                null
+                                            ]
+                                        },
+                                        {
+                                            'html': 'li',
+                                            'elem': [
+                                                {'html': 'a', 'attr': {'href': '#url=book%2Fsection1.md'}, 'elem': {'text': 'Section 1.1'}},
+                                                null
+                                            ]
+                                        },
+                                        {
+                                            'html': 'li',
+                                            'elem': [
+                                                {
+                                                    'html': 'a',
+                                                    'attr': {'href': '#url=https%3A%2F%2Ffoo.com%2Fappendix.md'},
+                                                    'elem': {'text': 'Appendix'}
+                                                },
+                                                null
+                                            ]
+                                        }
+                                    ]
+                                }
+                            }
+                        },
                         null
                     ],
-                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                    {'html': 'div', 'attr': {'id': 'url=book%2Fchapter1.md&_top', 'style': 'display=none; position: absolute; top: 0;'}}
                 ],
                 [
-                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
-                ]
+                    {'html': 'h1', 'attr': {'id': 'url=book%2Fchapter1.md&chapter-1'}, 'elem': [{'text': 'Chapter 1'}]}
+                ],
+                {
+                    'html': 'nav',
+                    'attr': {'class': 'markdown-up-book-nav'},
+                    'elem': [
+                        {
+                            'html': 'a',
+                            'attr': {'class': 'markdown-up-book-prev', 'href': '#url=book%2Fintro.md', 'rel': 'prev'},
+                            'elem': {'text': '« Introduction'}
+                        },
+                        {
+                            'html': 'a',
+                            'attr': {'class': 'markdown-up-book-next', 'href': '#url=book%2Fsection1.md', 'rel': 'next'},
+                            'elem': {'text': 'Section 1.1 »'}
+                        }
+                    ]
+                }
             ]
         }
     );
+    assert.deepEqual(fetchURLs, ['book/SUMMARY.md', 'book/chapter1.md']);
 });
 
 
-test('MarkdownUp.main, menu', async () => {
+test('MarkdownUp.main, book manifest cache', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-    window.fetch = (url, options) => fetchSystem(null, url, options);
-    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
-    app.updateParams('', null, '{"menu": 1}');
-    assert.deepEqual(
-        deleteElementCallbacks(await app.main()),
-        {
-            'title': null,
-            'elements': [
-                [
-                    [
-                        menuBurgerElements(),
-                        menuElements()
-                    ],
-                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
-                ],
-                [
-                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
-                ]
-            ]
+    const fetchURLs = [];
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
         }
-    );
+        fetchURLs.push(url);
+        const text = url.endsWith('SUMMARY.md') ? `- *[One](one.md 'Page one')*\n\n> [Two](two.md)\n` : `# ${url}`;
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(text);
+        })};
+    };
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'book': 'SUMMARY.md', 'cacheSize': 0});
+    app.updateParams('url=one.md');
+    await app.main();
+    assert.deepEqual(app.bookPages, [{'title': 'One', 'url': 'one.md'}, {'title': 'Two', 'url': 'two.md'}]);
+    assert.deepEqual(fetchURLs, ['SUMMARY.md', 'one.md']);
+
+    // The book manifest is not re-fetched
+    app.updateParams('url=two.md');
+    await app.main();
+    assert.deepEqual(fetchURLs, ['SUMMARY.md', 'one.md', 'two.md']);
+
+    // The book manifest is re-fetched when its URL changes
+    app.book = 'book/SUMMARY.md';
+    await app.main();
+    assert.deepEqual(app.bookPages, [{'title': 'One', 'url': 'book/one.md'}, {'title': 'Two', 'url': 'book/two.md'}]);
+    assert.deepEqual(fetchURLs, ['SUMMARY.md', 'one.md', 'two.md', 'book/SUMMARY.md', 'two.md']);
 });
 
 
-test('MarkdownUp.main, no menu', async () => {
+test('MarkdownUp, run book pages', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
-    window.fetch = (url, options) => fetchSystem(null, url, options);
-    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello', 'menu': false});
-    app.updateParams('', null, '{"menu": 1}');
-    assert.deepEqual(
-        deleteElementCallbacks(await app.main()),
-        {
-            'title': null,
-            'elements': [
-                [
-                    null,
-                    {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
-                ],
-                [
-                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
-                ]
-            ]
+    window.location.hash = '#';
+    window.fetch = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
         }
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(`# ${url}`);
+        })};
+    };
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'url': 'one.md',
+        'pages': [
+            {'title': 'One', 'url': 'one.md'},
+            {'title': 'Two', 'url': 'two.md'}
+        ]
+    });
+    await app.run();
+    const keyDown = async (key) => {
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', {key}));
+        await flushPromises();
+    };
+
+    // The chapter list and the next page link
+    assert.deepEqual(
+        Array.from(window.document.querySelectorAll('.menu-book a')).map((link) => [link.getAttribute('href'), link.className]),
+        [['#url=one.md', 'menu-book-current'], ['#url=two.md', '']]
     );
+    assert.deepEqual(
+        Array.from(window.document.querySelectorAll('.markdown-up-book-nav a')).map((link) => link.textContent),
+        ['Two »']
+    );
+
+    // The book keyboard shortcuts
+    await keyDown('?');
+    assert.deepEqual(
+        Array.from(window.document.querySelectorAll('.menu-shortcuts kbd')).map((kbd) => kbd.textContent),
+        ['m', 'v', 'd', 's', 'l', 'b', 'n', 'p', '?']
+    );
+    await keyDown('Escape');
+    await keyDown('p');
+    assert.equal(window.location.hash, '');
+    await keyDown('n');
+    assert.equal(window.location.hash, '#url=two.md');
 });
 
 
-test('MarkdownUp.main, menu cycle and toggle', async () => {
+test('MarkdownUp.main, find', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
     window.fetch = (url, options) => fetchSystem(null, url, options);
     const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
-    app.updateParams('view=markdown', '{"fontSize": 18}', '{"menu": 1}');
+    app.updateParams('find=hello', null, '{"menu": 1}');
     assert.deepEqual(
         deleteElementCallbacks(await app.main()),
         {
@@ -1778,39 +4144,99 @@ test('MarkdownUp.main, menu cycle and toggle', async () => {
             'elements': [
                 [
                     [
-                        menuBurgerElements(),
-                        menuElements({'fontSizeText': '18pt', 'viewMarkdown': true})
+                        menuBurgerElements({'expanded': true}),
+                        menuElements({'find': true}),
+                        null,
+                        {
+                            'html': 'div',
+                            'attr': {'class': 'menu-find'},
+                            'elem': [
+                                {
+                                    'html': 'input',
+                                    'attr': {'id': 'menu-find-input', 'type': 'search', 'placeholder': 'Find', 'value': 'hello'}
+                                },
+                                {'html': 'span', 'attr': {'id': 'menu-find-count'}}
+                            ]
+                        }
                     ],
-                    {'html': 'div', 'attr': {'id': 'view=markdown&_top', 'style': 'display=none; position: absolute; top: 0;'}}
+                    {'html': 'div', 'attr': {'id': 'find=hello&_top', 'style': 'display=none; position: absolute; top: 0;'}}
                 ],
-                {'html': 'div', 'attr': {'class': 'markdown'}, 'elem': {'text': 'Hello'}}
+                [
+                    {'html': 'p', 'elem': [{'text': 'Hello'}]}
+                ]
             ]
         }
     );
 });
 
 
-test('MarkdownUp.main, markdown', async () => {
+test('MarkdownUp, render find', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    const scrollIntoViewCalls = [];
+    window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {
+        scrollIntoViewCalls.push(this.textContent);
+    };
+
+    window.location.hash = '#find=hello';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Hello\n\nHello, hello world!'});
+    await app.render();
+    const findCount = window.document.getElementById('menu-find-count');
+    const findInput = window.document.getElementById('menu-find-input');
+    assert.deepEqual(
+        Array.from(window.document.querySelectorAll('mark')).map((mark) => [mark.textContent, mark.className]),
+        [
+            ['Hello', 'menu-find-match menu-find-current'],
+            ['Hello', 'menu-find-match'],
+            ['hello', 'menu-find-match']
+        ]
+    );
+    assert.equal(findCount.textContent, '1 of 3');
+    assert.deepEqual(scrollIntoViewCalls, ['Hello']);
+    assert.equal(window.document.getElementById('menu-find-input').value, 'hello');
+
+    // Step forward and backward through the matches
+    findInput.dispatchEvent(new window.KeyboardEvent('keydown', {'key': 'Enter'}));
+    assert.equal(findCount.textContent, '2 of 3');
+    findInput.dispatchEvent(new window.KeyboardEvent('keydown', {'key': 'Enter', 'shiftKey': true}));
+    findInput.dispatchEvent(new window.KeyboardEvent('keydown', {'key': 'Enter', 'shiftKey': true}));
+    assert.equal(findCount.textContent, '3 of 3');
+    assert.deepEqual(scrollIntoViewCalls, ['Hello', 'Hello', 'Hello', 'hello']);
+
+    // Change the find text - the hash is updated without a render
+    findInput.value = 'world';
+    findInput.dispatchEvent(new window.Event('input'));
+    assert.equal(window.location.hash, '#find=world');
+    assert.deepEqual(app.params, {'find': 'world'});
+    assert.deepEqual(Array.from(window.document.querySelectorAll('mark')).map((mark) => mark.textContent), ['world']);
+    assert.equal(
+        window.document.querySelector('p').innerHTML,
+        'Hello, hello <mark class="menu-find-match menu-find-current">world</mark>!'
+    );
+    assert.equal(findCount.textContent, '1 of 1');
+
+    // No matches
+    findInput.value = 'goodbye';
+    findInput.dispatchEvent(new window.Event('input'));
+    assert.equal(window.document.querySelectorAll('mark').length, 0);
+    assert.equal(window.document.querySelector('p').innerHTML, 'Hello, hello world!');
+    assert.equal(findCount.textContent, 'No matches');
+
+    // Close the find bar
+    findInput.dispatchEvent(new window.KeyboardEvent('keydown', {'key': 'Escape'}));
+    assert.equal(window.location.hash, '');
+});
+
+
+test('MarkdownUp, render find empty', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#find=';
     window.fetch = (url, options) => fetchSystem(null, url, options);
     const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix, 'markdownText': 'Hello'});
-    app.updateParams('view=markdown', null, null);
-    assert.deepEqual(
-        deleteElementCallbacks(await app.main()),
-        {
-            'title': null,
-            'elements': [
-                [
-                    [
-                        menuBurgerElements(),
-                        null
-                    ],
-                    {'html': 'div', 'attr': {'id': 'view=markdown&_top', 'style': 'display=none; position: absolute; top: 0;'}}
-                ],
-                {'html': 'div', 'attr': {'class': 'markdown'}, 'elem': {'text': 'Hello'}}
-            ]
-        }
-    );
+    await app.render();
+    assert.equal(window.document.querySelectorAll('mark').length, 0);
+    assert.equal(window.document.getElementById('menu-find-count').textContent, '');
+    assert.equal(window.document.activeElement.id, 'menu-find-input');
 });
 
 
@@ -1826,8 +4252,10 @@ test('MarkdownUp.main, darkMode', async () => {
             'elements': [
                 [
                     [
-                        menuBurgerElements({'darkMode': 1}),
-                        menuElements({'darkMode': 1})
+                        menuBurgerElements({'darkMode': 1, 'expanded': true}),
+                        menuElements({'darkMode': 1}),
+                        null,
+                        null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
                 ],
@@ -1863,6 +4291,8 @@ markdownPrint('Hello', '~~~', 'Code', '~~~')
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2051,6 +4481,8 @@ markdownPrint('2')
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2097,6 +4529,8 @@ markdownPrint(message)
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2114,6 +4548,95 @@ markdownPrint(message)
 });
 
 
+test('MarkdownUp.main, markdown-script isolate', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'globals': {'message': 'Globals'},
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script isolate export=greetName
+name = 'A'
+function greetName():
+    return 'Hello ' + name
+endfunction
+markdownPrint(message + ' ' + name)
+~~~
+
+~~~ markdown-script isolate
+markdownPrint(jsonStringify(greetName) + ' ' + name)
+name = 'B'
+~~~
+
+~~~ markdown-script
+markdownPrint(greetName() + ' ' + jsonStringify(name))
+~~~
+`
+    });
+    app.updateParams('');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1], [
+        [
+            [
+                {'html': 'p', 'elem': [{'text': 'Globals A'}]}
+            ]
+        ],
+        [
+            [
+                {'html': 'p', 'elem': [{'text': 'null null'}]}
+            ]
+        ],
+        [
+            [
+                {'html': 'p', 'elem': [{'text': 'Hello A null'}]}
+            ]
+        ]
+    ]);
+});
+
+
+test('MarkdownUp, render markdown-script isolate export callback', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const timeouts = [];
+    window.setTimeout = (callback) => timeouts.push(callback);
+    const app = new MarkdownUp(window, {
+        'maxStatements': 100000,
+        'menu': false,
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script isolate export=countUp
+function countUp():
+    ix = 0
+    while ix < 1000:
+        ix = ix + 1
+    endwhile
+    return ix
+endfunction
+~~~
+
+~~~ markdown-script
+calls = 0
+function onTimeout():
+    calls = calls + 1
+    markdownPrint('Calls: ' + calls + ', count: ' + countUp())
+endfunction
+windowSetTimeout(onTimeout, 1000)
+~~~
+`
+    });
+    await app.render();
+    assert.equal(timeouts.length, 1);
+
+    // The exported function's statements count against each callback's statement budget
+    for (let ix = 0; ix < 60; ix++) {
+        await timeouts[0]();
+    }
+    assert.equal(window.document.body.textContent, 'Calls: 60, count: 1000');
+});
+
+
 test('MarkdownUp.main, markdown-script debug', async () => {
     const {window} = new JSDOM('', {'url': jsdomURL});
     const fetchResolve = (url, options) => {
@@ -2151,6 +4674,8 @@ systemLogDebug('Hello')
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2204,6 +4729,8 @@ systemLogDebug('Hello')
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2259,6 +4786,8 @@ endfunction
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2308,6 +4837,8 @@ markdownPrint('varName = ' + varName)
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': 'var.varName=5&_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2354,6 +4885,8 @@ markdownPrint('varName = ' + varName)
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': 'var.varName=foo%20bar&_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2405,6 +4938,8 @@ foobar()
                 [
                     [
                         menuBurgerElements(),
+                        null,
+                        null,
                         null
                     ],
                     {'html': 'div', 'attr': {'id': '_top', 'style': 'display=none; position: absolute; top: 0;'}}
@@ -2412,10 +4947,355 @@ foobar()
                 [
                     [
                         null,
-                        {'html': 'pre', 'elem': {'text': 'Undefined function "foobar"'}}
+                        {
+                            'html': 'div',
+                            'attr': {'class': 'markdown-script-error'},
+                            'elem': [
+                                {'html': 'pre', 'elem': {'text': 'Undefined function "foobar"'}},
+                                {'html': 'p', 'elem': {'text': 'Line 2'}},
+                                null,
+                                null,
+                                {
+                                    'html': 'pre',
+                                    'attr': {'class': 'markdown-script-error-source'},
+                                    'elem': [{'html': 'mark', 'elem': {'text': '2  foobar()\n'}}]
+                                }
+                            ]
+                        }
                     ]
                 ]
             ]
         }
     );
 });
+
+
+test('MarkdownUp.main, markdown-script runtime error call chain', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+# Title
+
+~~~ markdown-script
+function inner(value):
+    # Call an undefined function
+    return foobar(value)
+endfunction
+
+async function outer():
+    return inner(1) + \\
+        inner(2)
+endfunction
+
+markdownPrint('Before')
+outer()
+~~~
+`
+    });
+    app.updateParams('');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1][1][1], {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': 'Undefined function "foobar"'}},
+            {'html': 'p', 'elem': {'text': 'Line 6'}},
+            null,
+            {'html': 'p', 'elem': {'text': 'Call chain: outer > inner'}},
+            {
+                'html': 'pre',
+                'attr': {'class': 'markdown-script-error-source'},
+                'elem': [
+                    {'text': '4  function inner(value):\n'},
+                    {'text': '5      # Call an undefined function\n'},
+                    {'html': 'mark', 'elem': {'text': '6      return foobar(value)\n'}},
+                    {'text': '7  endfunction\n'},
+                    {'text': '8  \n'}
+                ]
+            }
+        ]
+    });
+});
+
+
+// Create a window fetch function for the "docs/page.md" document and its included scripts
+function includeFetch(markdownText, includeTexts) {
+    return (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        const text = url === 'docs/page.md' ? markdownText : (includeTexts[url] ?? null);
+        if (text === null) {
+            return {'ok': false, 'status': 404, 'statusText': 'Not Found'};
+        }
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(text);
+        })};
+    };
+}
+
+
+test('MarkdownUp.main, markdown-script include fetch error', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = includeFetch(`\
+~~~ markdown-script
+markdownPrint('Before')
+include 'missing.bare'
+~~~
+`, {});
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    app.updateParams('url=docs/page.md');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1][0][1], {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': 'Include of "docs/missing.bare" failed'}},
+            {'html': 'p', 'elem': {'text': 'Line 3'}},
+            {'html': 'p', 'elem': {'text': 'In included script "docs/missing.bare"'}},
+            null,
+            {
+                'html': 'pre',
+                'attr': {'class': 'markdown-script-error-source'},
+                'elem': [
+                    {'text': "2  markdownPrint('Before')\n"},
+                    {'html': 'mark', 'elem': {'text': "3  include 'missing.bare'\n"}}
+                ]
+            }
+        ]
+    });
+});
+
+
+test('MarkdownUp.main, markdown-script include runtime error', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = includeFetch(`\
+~~~ markdown-script
+include 'top.bare'
+~~~
+`, {'docs/top.bare': 'value = 1\nfoobar(value)\n'});
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    app.updateParams('url=docs/page.md');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1][0][1], {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': 'Undefined function "foobar"'}},
+            {'html': 'p', 'elem': {'text': 'Line 2'}},
+            {'html': 'p', 'elem': {'text': 'In included script "docs/top.bare"'}},
+            null,
+            {
+                'html': 'pre',
+                'attr': {'class': 'markdown-script-error-source'},
+                'elem': [{'html': 'mark', 'elem': {'text': "2  include 'top.bare'\n"}}]
+            }
+        ]
+    });
+});
+
+
+test('MarkdownUp.main, markdown-script include function runtime error', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = includeFetch(`\
+---
+includes:
+  - util.bare
+---
+~~~ markdown-script
+function outer():
+    return utilFail(1)
+endfunction
+
+outer()
+~~~
+`, {'docs/util.bare': 'function utilFail(value):\n    return foobar(value)\nendfunction\n'});
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    app.updateParams('url=docs/page.md');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1][0][1], {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': 'Undefined function "foobar"'}},
+            {'html': 'p', 'elem': {'text': 'Line 7'}},
+            {'html': 'p', 'elem': {'text': 'In included script "docs/util.bare"'}},
+            {'html': 'p', 'elem': {'text': 'Call chain: outer > utilFail'}},
+            {
+                'html': 'pre',
+                'attr': {'class': 'markdown-script-error-source'},
+                'elem': [
+                    {'text': '6  function outer():\n'},
+                    {'html': 'mark', 'elem': {'text': '7      return utilFail(1)\n'}},
+                    {'text': '8  endfunction\n'},
+                    {'text': '9  \n'}
+                ]
+            }
+        ]
+    });
+});
+
+
+test('MarkdownUp.main, markdown-script include parser error', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = includeFetch(`\
+~~~ markdown-script
+include 'bad.bare'
+~~~
+`, {'docs/bad.bare': 'value = 1\nvalue = @\n'});
+    const app = new MarkdownUp(window, {'systemPrefix': fetchSystemPrefix});
+    app.updateParams('url=docs/page.md');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1][0][1], {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': 'Syntax error'}},
+            {'html': 'p', 'elem': {'text': 'In included script "docs/bad.bare", line 2'}},
+            null,
+            null,
+            null
+        ]
+    });
+});
+
+
+test('MarkdownUp.main, markdown-script budget exceeded', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'maxStatements': 100,
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+markdownPrint('Partial output')
+ix = 0
+while true:
+    ix = ix + 1
+endwhile
+~~~
+`
+    });
+    app.updateParams('');
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1], [
+        [
+            {
+                'html': 'div',
+                'attr': {'class': 'markdown-script-error'},
+                'elem': {'html': 'p', 'elem': {'text': 'Script exceeded its budget of 100 statements'}}
+            }
+        ]
+    ]);
+
+    // The default statement budget is the BareScript runtime's default
+    const appDefault = new MarkdownUp(window);
+    appDefault.updateParams('');
+    assert.equal(appDefault.createScriptOptions().maxStatements, 1e9);
+
+    // Debug mode raises the statement budget
+    window.sessionStorage.setItem('MarkdownUp', '{"debug": 1}');
+    const appDebug = new MarkdownUp(window, {'maxStatements': 100, 'debugMaxStatements': 1000});
+    appDebug.updateParams('');
+    assert.equal(appDebug.createScriptOptions().maxStatements, 1000);
+});
+
+
+test('MarkdownUp.main, markdown-script parser error', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const logs = [];
+    window.console = {'log': (message) => logs.push(message)};
+    window.sessionStorage.setItem('MarkdownUp', '{"debug": 1}');
+    const app = new MarkdownUp(window, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+# Title
+
+~~~ markdown-script
+a = 1
+b = 2
+c = @
+d = 4
+e = 5
+f = 6
+~~~
+`
+    });
+    app.updateParams();
+    const result = deleteElementCallbacks(await app.main());
+    assert.deepEqual(result.elements[1][1][1], {
+        'html': 'div',
+        'attr': {'class': 'markdown-script-error'},
+        'elem': [
+            {'html': 'pre', 'elem': {'text': 'Syntax error'}},
+            {'html': 'p', 'elem': {'text': 'Line 6'}},
+            null,
+            null,
+            {
+                'html': 'pre',
+                'attr': {'class': 'markdown-script-error-source'},
+                'elem': [
+                    {'text': '4  a = 1\n'},
+                    {'text': '5  b = 2\n'},
+                    {'html': 'mark', 'elem': {'text': '6  c = @\n'}},
+                    {'text': '7  d = 4\n'},
+                    {'text': '8  e = 5\n'}
+                ]
+            }
+        ]
+    });
+    assert(logs.some((message) => message.startsWith('MarkdownUp: Script error: Syntax error, line number 6:')));
+});
+
+
+test('MarkdownUp, render profile', async () => {
+    const {window} = new JSDOM('', {'url': jsdomURL});
+    window.location.hash = '#view=profile';
+    window.fetch = (url, options) => fetchSystem(null, url, options);
+    const app = new MarkdownUp(window, {
+        'menu': false,
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+function double(x):
+    return x * 2
+endfunction
+total = double(1) + double(2) + double(3)
+markdownPrint('Total: ' + total)
+~~~
+`
+    });
+    await app.render();
+    assert.equal(window.document.querySelector('p').textContent, 'Total: 12');
+    const profile = window.document.querySelector('.markdown-up-profile');
+    assert.equal(profile.querySelector('.markdown-up-profile-title').textContent, 'Script profile');
+    const headers = () => Array.from(profile.querySelectorAll('th')).map((th) => [th.textContent, th.getAttribute('aria-sort')]);
+    const rows = () => Array.from(profile.querySelectorAll('tbody tr')).map(
+        (tr) => Array.from(tr.children).slice(0, 2).map((td) => td.textContent)
+    );
+    assert.deepEqual(headers(), [
+        ['Function', 'none'],
+        ['Calls', 'none'],
+        ['Inclusive (ms)', 'descending'],
+        ['Exclusive (ms)', 'none']
+    ]);
+    assert.deepEqual(rows().sort(), [['double', '3'], ['markdownPrint', '1']]);
+
+    // Sort by call count
+    profile.querySelectorAll('th')[1].click();
+    assert.deepEqual(headers(), [
+        ['Function', 'none'],
+        ['Calls', 'descending'],
+        ['Inclusive (ms)', 'none'],
+        ['Exclusive (ms)', 'none']
+    ]);
+    assert.deepEqual(rows(), [['double', '3'], ['markdownPrint', '1']]);
+
+    // Sort by function name
+    profile.querySelectorAll('th')[0].click();
+    assert.equal(headers()[0][1], 'ascending');
+    assert.deepEqual(rows(), [['double', '3'], ['markdownPrint', '1']]);
+});
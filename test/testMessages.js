@@ -0,0 +1,59 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {defaultMessages, formatMessage, getLocaleDirection, getLocaleMessages} from '../lib/messages.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('formatMessage', () => {
+    assert.equal(formatMessage(null, 'errorRetry'), 'Retry');
+    assert.equal(formatMessage(null, 'errorFetch', {'url': 'README.md'}), 'Could not fetch "README.md"');
+    assert.equal(formatMessage(undefined, 'findCount', {'index': 1, 'count': 3}), '1 of 3');
+});
+
+
+test('formatMessage, catalog', () => {
+    const messages = {'errorRetry': 'Réessayer', 'findCount': '{index} sur {count}'};
+    assert.equal(formatMessage(messages, 'errorRetry'), 'Réessayer');
+    assert.equal(formatMessage(messages, 'findCount', {'index': 2, 'count': 3}), '2 sur 3');
+
+    // Messages missing from the catalog use the default message
+    assert.equal(formatMessage(messages, 'errorBack'), 'Back');
+});
+
+
+test('formatMessage, unknown', () => {
+    assert.equal(formatMessage(null, 'unknownMessage'), 'unknownMessage');
+    assert.equal(formatMessage(null, 'errorFetch', {'other': 'README.md'}), 'Could not fetch "{url}"');
+});
+
+
+test('getLocaleMessages', () => {
+    const catalogs = {
+        'fr': {'errorRetry': 'Réessayer'},
+        'pt-BR': {'errorRetry': 'Tentar novamente'}
+    };
+    assert.deepEqual(getLocaleMessages(['fr-CA', 'en'], catalogs), {
+        'locale': 'fr-CA',
+        'messages': {...defaultMessages, 'errorRetry': 'Réessayer'}
+    });
+    assert.deepEqual(getLocaleMessages(['de', 'pt-BR'], catalogs), {
+        'locale': 'pt-BR',
+        'messages': {...defaultMessages, 'errorRetry': 'Tentar novamente'}
+    });
+
+    // No matching locale
+    assert.deepEqual(getLocaleMessages(['pt', 'de'], catalogs), {'locale': 'en', 'messages': defaultMessages});
+    assert.deepEqual(getLocaleMessages([], catalogs), {'locale': 'en', 'messages': defaultMessages});
+    assert.deepEqual(getLocaleMessages(['fr'], null), {'locale': 'en', 'messages': defaultMessages});
+});
+
+
+test('getLocaleDirection', () => {
+    assert.equal(getLocaleDirection('en'), 'ltr');
+    assert.equal(getLocaleDirection('fr-CA'), 'ltr');
+    assert.equal(getLocaleDirection('he'), 'rtl');
+    assert.equal(getLocaleDirection('ar-EG'), 'rtl');
+    assert.equal(getLocaleDirection('FA'), 'rtl');
+});
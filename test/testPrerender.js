@@ -0,0 +1,124 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/markdown-up/blob/main/LICENSE
+
+import {elementModelHTML, markdownUpPrerender} from '../lib/prerender.js';
+import {fetchSystem, fetchSystemPrefix} from 'bare-script/lib/optionsNode.js';
+import {strict as assert} from 'node:assert';
+import test from 'node:test';
+
+
+test('markdownUpPrerender', async () => {
+    const fetchFn = (url, options) => fetchSystem(null, url, options);
+    const result = await markdownUpPrerender(fetchFn, {'systemPrefix': fetchSystemPrefix, 'markdownText': '# Hello\n\nWorld'});
+    assert.deepEqual(result, {
+        'title': 'Hello',
+        'html': '<div id="_top" style="display=none; position: absolute; top: 0;"></div><h1 id="hello">Hello</h1><p>World</p>'
+    });
+});
+
+
+test('markdownUpPrerender, url', async () => {
+    const fetchURLs = [];
+    const fetchFn = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+
+        fetchURLs.push(url);
+        return {'ok': true, 'text': () => new Promise((resolve) => {
+            resolve(`\
+# Other
+
+~~~ markdown-script
+documentSetTitle('Title ' + vName)
+elementModelRender({'html': 'p', 'elem': [{'text': 'A < B'}, {'html': 'br'}]})
+elementModelRender({'svg': 'svg', 'attr': {'width': 10}, 'elem': {'svg': 'rect', 'attr': {'width': 10, 'x': null}}})
+~~~
+`);
+        })};
+    };
+    const result = await markdownUpPrerender(fetchFn, {'systemPrefix': fetchSystemPrefix}, 'url=other.md&var.vName=1');
+    assert.deepEqual(fetchURLs, ['other.md']);
+    assert.deepEqual(result, {
+        'title': 'Title 1',
+        'html': '<div id="url=other.md&amp;var.vName=1&amp;_top" style="display=none; position: absolute; top: 0;"></div>' +
+            '<h1 id="url=other.md&amp;var.vName=1&amp;other">Other</h1>' +
+            '<p>A &lt; B<br></p><svg width="10"><rect width="10"/></svg>'
+    });
+});
+
+
+test('markdownUpPrerender, front matter menu', async () => {
+    const fetchFn = (url, options) => fetchSystem(null, url, options);
+    const result = await markdownUpPrerender(fetchFn, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': '---\nmenu: true\n---\n# Hello\n\nWorld'
+    });
+    assert.deepEqual(result, {
+        'title': 'Hello',
+        'html': '<div id="_top" style="display=none; position: absolute; top: 0;"></div><h1 id="hello">Hello</h1><p>World</p>'
+    });
+});
+
+
+test('markdownUpPrerender, windowParamsSet', async () => {
+    const fetchFn = (url, options) => fetchSystem(null, url, options);
+    const result = await markdownUpPrerender(fetchFn, {
+        'systemPrefix': fetchSystemPrefix,
+        'markdownText': `\
+~~~ markdown-script
+windowParamsSet({'var': {'vName': '1'}})
+windowParamsSet({'var': {'vName': '2'}}, true)
+markdownPrint('Hello')
+~~~
+`
+    });
+    assert.deepEqual(result, {
+        'title': null,
+        'html': '<div id="_top" style="display=none; position: absolute; top: 0;"></div><p>Hello</p>'
+    });
+});
+
+
+test('markdownUpPrerender, fetch error', async () => {
+    const fetchFn = (url, options) => {
+        if (url.startsWith(fetchSystemPrefix)) {
+            return fetchSystem(null, url, options);
+        }
+        return {'ok': false, 'statusText': 'Not Found'};
+    };
+    const result = await markdownUpPrerender(fetchFn, {'systemPrefix': fetchSystemPrefix});
+    assert.deepEqual(result, {
+        'title': 'MarkdownUp',
+        'html': '<div id="_top" style="display=none; position: absolute; top: 0;"></div>' +
+            '<div class="markdown-up-error"><p>Error: Could not fetch &quot;README.md&quot; - &quot;Not Found&quot;</p>' +
+            '<p><strong>URL:</strong> file:///README.md</p><p><a href="#">Retry</a> | <a href="#">Back</a></p></div>'
+    });
+});
+
+
+test('elementModelHTML', () => {
+    assert.equal(elementModelHTML(null), '');
+    assert.equal(elementModelHTML([]), '');
+    assert.equal(elementModelHTML({'text': '<a & "b">'}), '&lt;a &amp; &quot;b&quot;&gt;');
+    assert.equal(
+        elementModelHTML([
+            {'html': 'p', 'attr': {'class': 'a"b', 'id': null}, 'elem': [{'text': 'Hello'}, null, [{'html': 'br'}]]},
+            {'html': 'img', 'attr': {'src': 'a.png'}},
+            {'html': 'div', 'attr': null},
+            {'svg': 'svg', 'elem': [{'svg': 'path', 'attr': {'d': 'M0,0'}}, {'svg': 'text', 'elem': {'text': 'Label'}}]}
+        ]),
+        '<p class="a&quot;b">Hello<br></p><img src="a.png"><div></div><svg><path d="M0,0"/><text>Label</text></svg>'
+    );
+
+    // The text of style and script elements is not escaped
+    assert.equal(
+        elementModelHTML([
+            {'html': 'style', 'elem': [{'text': 'a > b { content: "&"; }'}, null]},
+            {'html': 'script', 'attr': {'type': 'module'}, 'elem': {'text': 'if (a < b && c) {}'}},
+            {'svg': 'svg', 'elem': {'svg': 'style', 'elem': {'text': 'a > b {}'}}}
+        ]),
+        '<style>a > b { content: "&"; }</style><script type="module">if (a < b && c) {}</script>' +
+            '<svg><style>a &gt; b {}</style></svg>'
+    );
+});
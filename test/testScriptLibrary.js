@@ -8,6 +8,7 @@ import {MarkdownScriptRuntime} from '../lib/script.js';
 import {strict as assert} from 'node:assert';
 import {executeScriptAsync} from 'bare-script/lib/runtimeAsync.js';
 import {markdownScriptFunctions} from '../lib/scriptLibrary.js';
+import {scriptWorkerFetch, scriptWorkerMessage} from '../lib/scriptWorker.js';
 import test from 'node:test';
 
 
@@ -37,6 +38,67 @@ const testRuntime = () => {
 //
 
 
+test('script library, documentAddMenuItem', async () => {
+    const runtime = testRuntime();
+    let runtimeUpdateCount = 0;
+    runtime.options.runtimeUpdateFn = () => ++runtimeUpdateCount;
+
+    // Test menu item callback function
+    let clickCount = 0;
+    const clickHandler = (args, options) => {
+        assert.deepEqual(args, []);
+        assert.notEqual(options, null);
+        clickCount += 1;
+    };
+
+    // Add the menu items
+    assert.deepEqual(runtime.documentMenuItems, []);
+    assert.equal(runtime.documentMenuUpdate, false);
+    assert.equal(markdownScriptFunctions.documentAddMenuItem(['Refresh', clickHandler], runtime.options), undefined);
+    assert.equal(runtime.documentMenuUpdate, true);
+    markdownScriptFunctions.documentAddMenuItem(['Settings', clickHandler, 'M2,2 L22,22'], runtime.options);
+    assert.equal(runtime.documentMenuItems.length, 2);
+    const [refreshItem, settingsItem] = runtime.documentMenuItems;
+    assert.equal(refreshItem.callback.constructor.name, 'AsyncFunction');
+    delete refreshItem.callback;
+    delete settingsItem.callback;
+    assert.deepEqual(runtime.documentMenuItems, [
+        {'label': 'Refresh', 'path': null, 'checked': null},
+        {'label': 'Settings', 'path': 'M2,2 L22,22', 'checked': null}
+    ]);
+
+    // Replace a menu item
+    markdownScriptFunctions.documentAddMenuItem(['Refresh', clickHandler, null, true], runtime.options);
+    assert.equal(runtime.documentMenuItems.length, 2);
+    assert.equal(runtime.documentMenuItems[0].checked, true);
+
+    // Click the menu item
+    await runtime.documentMenuItems[0].callback();
+    assert.equal(clickCount, 1);
+    assert.equal(runtimeUpdateCount, 1);
+});
+
+
+test('script library, documentAddMenuItem callback error', async () => {
+    const runtime = testRuntime();
+    let runtimeUpdateCount = 0;
+    runtime.options.runtimeUpdateFn = () => ++runtimeUpdateCount;
+    const logs = [];
+    runtime.options.logFn = (message) => logs.push(message);
+
+    // Add the menu item with a callback function that throws
+    const clickHandler = () => {
+        throw new Error('BOOM!');
+    };
+    markdownScriptFunctions.documentAddMenuItem(['Refresh', clickHandler], runtime.options);
+
+    // Click the menu item
+    await runtime.documentMenuItems[0].callback();
+    assert.deepEqual(logs, ['MarkdownUp: Error executing documentAddMenuItem callback: BOOM!']);
+    assert.equal(runtimeUpdateCount, 1);
+});
+
+
 test('script library, documentFontSize', () => {
     const runtime = testRuntime();
     assert.equal(markdownScriptFunctions.documentFontSize([], runtime.options), 16);
@@ -779,6 +841,33 @@ test('script library, windowKeyState', () => {
 });
 
 
+test('script library, windowParamsGet', () => {
+    const runtime = testRuntime();
+    runtime.options.params = {'url': 'other.md', 'param': {'count': '1'}};
+    const params = markdownScriptFunctions.windowParamsGet([], runtime.options);
+    assert.deepEqual(params, {'url': 'other.md', 'param': {'count': '1'}});
+
+    // The parameters object is a copy
+    params.param.count = '2';
+    assert.deepEqual(runtime.options.params, {'url': 'other.md', 'param': {'count': '1'}});
+});
+
+
+test('script library, windowParamsSet', () => {
+    const runtime = testRuntime();
+    const paramsSets = [];
+    runtime.options.paramsSetFn = (params, replace) => paramsSets.push([params, replace]);
+    markdownScriptFunctions.windowParamsSet([{'param': {'count': 2}}], runtime.options);
+    assert.equal(runtime.windowRender, false);
+    markdownScriptFunctions.windowParamsSet([{'view': 'toc'}, true, true], runtime.options);
+    assert.equal(runtime.windowRender, true);
+    assert.deepEqual(paramsSets, [
+        [{'param': {'count': 2}}, false],
+        [{'view': 'toc'}, true]
+    ]);
+});
+
+
 // Create a mock Web Audio context that records the scheduled tones and filters
 const mockAudioContext = (state = 'running') => {
     const tones = [];
@@ -1071,6 +1160,37 @@ test('script library, windowSetTimeout async', async () => {
 });
 
 
+test('script library, windowSetTimeout budget exceeded', async () => {
+    const runtime = testRuntime();
+    let runtimeUpdateCount = 0;
+    runtime.options.runtimeUpdateFn = () => ++runtimeUpdateCount;
+    const logs = [];
+    runtime.options.logFn = (message) => logs.push(message);
+    runtime.options.maxStatements = 10;
+
+    // Simulate the script runtime exceeding its statement budget
+    const ontime = (args, options) => {
+        markdownScriptFunctions.markdownPrint(['Partial output'], options);
+        options.statementCount = 11;
+        throw new Error('Exceeded maximum script statements (10)');
+    };
+    markdownScriptFunctions.windowSetTimeout([ontime, 1000], runtime.options);
+
+    await runtime.windowTimeout[0]();
+    assert.equal(runtimeUpdateCount, 1);
+    assert.deepEqual(runtime.elements, [
+        {
+            'html': 'div',
+            'attr': {'class': 'markdown-script-error'},
+            'elem': {'html': 'p', 'elem': {'text': 'Script exceeded its budget of 10 statements'}}
+        }
+    ]);
+    assert.deepEqual(logs, [
+        'MarkdownUp: Error executing windowSetTimeout callback: Exceeded maximum script statements (10)'
+    ]);
+});
+
+
 test('script library, windowSetTimeout callback error', async () => {
     const runtime = testRuntime();
     let runtimeUpdateCount = 0;
@@ -1131,3 +1251,167 @@ test('script library, windowWidth', () => {
     const runtime = testRuntime();
     assert.equal(markdownScriptFunctions.windowWidth([], runtime.options), 1024);
 });
+
+
+// Test Web Worker class that executes its request messages in-process
+const testWorker = (workerCalls) => class {
+    constructor(url, workerOptions) {
+        workerCalls.push(['constructor', url.href.slice(url.href.lastIndexOf('/') + 1), workerOptions]);
+        this.onmessage = null;
+        this.onerror = null;
+        this.workerFetch = scriptWorkerFetch((message) => this.onmessage({'data': message}));
+    }
+
+    postMessage(message) {
+        workerCalls.push(['postMessage', message]);
+        if ('fetchResponse' in message) {
+            this.workerFetch.fetchResponse(message.fetchResponse);
+        } else {
+            scriptWorkerMessage(message, this.workerFetch.fetchFn).then((response) => {
+                this.onmessage({'data': response});
+            });
+        }
+    }
+
+    terminate() {
+        workerCalls.push(['terminate']);
+    }
+};
+
+
+test('script library, windowWorkerRun', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    const script = [
+        'total = 0',
+        'for value in objectGet(args, "values"):',
+        '    total = total + value',
+        'endfor',
+        'return {"total": total}'
+    ];
+    assert.deepEqual(
+        await markdownScriptFunctions.windowWorkerRun([script, {'values': [1, 2, 3]}], runtime.options),
+        {'total': 6}
+    );
+    assert.deepEqual(workerCalls, [
+        ['constructor', 'scriptWorker.js', {'type': 'module'}],
+        ['postMessage', {'script': script, 'args': '{"values":[1,2,3]}', 'baseURL': 'https://github.com/foo/'}],
+        ['terminate']
+    ]);
+});
+
+
+test('script library, windowWorkerRun fetch', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    const fetchCalls = [];
+    runtime.options.fetchFn = (url, fetchOptions) => {
+        fetchCalls.push([url, fetchOptions]);
+        if (url.endsWith('missing.txt')) {
+            return new Response('Not found', {'status': 404});
+        }
+        return new Response('Hello');
+    };
+    const script = 'return arrayNew(systemFetch("data.txt"), systemFetch("missing.txt"))';
+    assert.deepEqual(await markdownScriptFunctions.windowWorkerRun([script], runtime.options), ['Hello', null]);
+    assert.deepEqual(fetchCalls, [
+        ['https://github.com/foo/data.txt', {}],
+        ['https://github.com/foo/missing.txt', {}]
+    ]);
+    assert.deepEqual(workerCalls, [
+        ['constructor', 'scriptWorker.js', {'type': 'module'}],
+        ['postMessage', {'script': script, 'args': 'null', 'baseURL': 'https://github.com/foo/'}],
+        ['postMessage', {'fetchResponse': {'id': 1, 'status': 200, 'statusText': '', 'text': 'Hello'}}],
+        ['postMessage', {'fetchResponse': {'id': 2, 'status': 404, 'statusText': '', 'text': 'Not found'}}],
+        ['terminate']
+    ]);
+});
+
+
+test('script library, windowWorkerRun fetch error', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    runtime.options.fetchFn = () => {
+        throw new Error('BOOM!');
+    };
+    assert.equal(await markdownScriptFunctions.windowWorkerRun(['return systemFetch("data.txt")'], runtime.options), null);
+    assert.deepEqual(workerCalls[2], ['postMessage', {'fetchResponse': {'id': 1, 'error': 'BOOM!'}}]);
+});
+
+
+test('script library, windowWorkerRun fetch status zero', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    runtime.options.fetchFn = () => ({'status': 0, 'statusText': '', 'text': () => Promise.resolve('')});
+    assert.equal(await markdownScriptFunctions.windowWorkerRun(['return systemFetch("data.txt")'], runtime.options), null);
+    assert.deepEqual(workerCalls[2], ['postMessage', {'fetchResponse': {'id': 1, 'status': 0, 'statusText': '', 'text': ''}}]);
+    assert.deepEqual(workerCalls[3], ['terminate']);
+});
+
+
+test('script library, windowWorkerRun invalid script', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    await assert.rejects(
+        markdownScriptFunctions.windowWorkerRun([{'script': 'return 1'}], runtime.options),
+        {'name': 'ValueArgsError', 'message': 'Invalid "script" argument value, {"script":"return 1"}'}
+    );
+    assert.deepEqual(workerCalls, []);
+});
+
+
+test('script library, windowWorkerRun abort listener', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    const abortController = new AbortController();
+    runtime.options.signal = abortController.signal;
+    const abortListeners = [];
+    const {addEventListener, removeEventListener} = abortController.signal;
+    abortController.signal.addEventListener = (type, listener, listenerOptions) => {
+        abortListeners.push(listener);
+        addEventListener.call(abortController.signal, type, listener, listenerOptions);
+    };
+    abortController.signal.removeEventListener = (type, listener) => {
+        abortListeners.splice(abortListeners.indexOf(listener), 1);
+        removeEventListener.call(abortController.signal, type, listener);
+    };
+    assert.equal(await markdownScriptFunctions.windowWorkerRun(['return 1'], runtime.options), 1);
+    assert.deepEqual(abortListeners, []);
+    assert.deepEqual(workerCalls[2], ['terminate']);
+});
+
+
+test('script library, windowWorkerRun error', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    await assert.rejects(
+        markdownScriptFunctions.windowWorkerRun(['return 1 +'], runtime.options),
+        {'message': 'Syntax error, line number 1:\nreturn 1 +\n          ^\n'}
+    );
+    assert.deepEqual(workerCalls[2], ['terminate']);
+});
+
+
+test('script library, windowWorkerRun aborted', async () => {
+    const runtime = testRuntime();
+    const workerCalls = [];
+    runtime.options.window.Worker = testWorker(workerCalls);
+    const abortController = new AbortController();
+    runtime.options.signal = abortController.signal;
+    abortController.abort();
+    await assert.rejects(
+        markdownScriptFunctions.windowWorkerRun(['return 1'], runtime.options),
+        {'name': 'AbortError'}
+    );
+    assert.deepEqual(workerCalls, [
+        ['constructor', 'scriptWorker.js', {'type': 'module'}],
+        ['terminate']
+    ]);
+});